@@ -0,0 +1,17 @@
+/**
+ * Backfill the Redis indexes (teams, teamChannels, skipVoteIndex) for data stored
+ * before they existed. Safe to run more than once.
+ *
+ * Usage: REDIS_URL=... npm run migrate:indexes
+ */
+const redis = require('../src/redis');
+
+redis.backfillIndexes()
+  .then(counts => {
+    console.log(`Indexed ${counts.teams} teams, ${counts.channels} channels and ${counts.skipVotes} open votes`);
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Index backfill failed:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,18 @@
+/**
+ * Encrypt stored Slack and Spotify tokens with the current TOKEN_ENCRYPTION_KEYS key:
+ * plaintext records from before encryption, and records sealed with a rotated-out key.
+ * Safe to run while the app is live, and more than once.
+ *
+ * Usage: REDIS_URL=... TOKEN_ENCRYPTION_KEYS=... npm run reencrypt:tokens
+ */
+const store = require('../src/store');
+
+store.reencryptTokens()
+  .then(counts => {
+    console.log(`Re-encrypted ${counts.teams} team tokens and ${counts.channels} channel tokens`);
+    process.exit(0);
+  })
+  .catch(err => {
+    console.error('Token re-encryption failed:', err);
+    process.exit(1);
+  });
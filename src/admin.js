@@ -0,0 +1,144 @@
+const store = require('./store');
+
+/**
+ * Admin API (the /admin routes in app.js, behind verifyAdminToken)
+ *
+ * Lists are paginated by ID: `cursor` is the last ID of the previous page and
+ * `nextCursor` is null on the last page. Every response goes through `redact`, so
+ * Slack and Spotify tokens never leave the server.
+ */
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// A vote still open this long after its window closed has lost its scheduler job
+const STUCK_VOTE_GRACE_MS = 60 * 1000;
+
+const REDACTED = '[redacted]';
+const SECRET_FIELD = /token|secret/i;
+
+/**
+ * Copy of a value with every token or secret field replaced
+ */
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+
+  const copy = {};
+  for (const [key, field] of Object.entries(value)) {
+    copy[key] = SECRET_FIELD.test(key) && field ? REDACTED : redact(field);
+  }
+  return copy;
+}
+
+// Page size from a query string value - null when invalid
+function parsePageSize(limit) {
+  if (limit === undefined || limit === '') return DEFAULT_PAGE_SIZE;
+  const size = Number(limit);
+  return Number.isInteger(size) && size >= 1 && size <= MAX_PAGE_SIZE ? size : null;
+}
+
+function paginate(ids, cursor, size) {
+  const sorted = [...ids].sort();
+  const start = cursor ? sorted.findIndex(id => id > cursor) : 0;
+  const page = start < 0 ? [] : sorted.slice(start, start + size);
+  const hasMore = start >= 0 && start + size < sorted.length;
+  return { page, nextCursor: hasMore ? page[page.length - 1] : null };
+}
+
+function summarizeChannel(teamId, channelId, ch) {
+  return {
+    teamId,
+    channelId,
+    channelName: ch.channelName || null,
+    connected: !!ch.spotify,
+    connectedBy: ch.connectedBy || null,
+    connectedAt: ch.connectedAt || null,
+    queueLocked: !!ch.queueLock
+  };
+}
+
+function describeVote(vote, now = Date.now()) {
+  // Vote IDs are the time the vote started
+  const startedAt = Number(vote.id);
+  const closesAt = startedAt + vote.windowSeconds * 1000;
+  return {
+    id: vote.id,
+    action: vote.action || 'skip',
+    trackName: vote.trackName,
+    artistName: vote.artistName,
+    requestedBy: vote.requestedBy,
+    messageTs: vote.messageTs,
+    startedAt: new Date(startedAt).toISOString(),
+    closesAt: new Date(closesAt).toISOString(),
+    stuck: now > closesAt + STUCK_VOTE_GRACE_MS,
+    keep: Array.from(vote.thumbsUpUsers),
+    change: Array.from(vote.thumbsDownUsers)
+  };
+}
+
+async function listTeams({ cursor, size }) {
+  const { page, nextCursor } = paginate(await store.getTeamIds(), cursor, size);
+  const [teams, channelIds] = await Promise.all([
+    store.getTeams(page),
+    Promise.all(page.map(teamId => store.getTeamChannelIds(teamId)))
+  ]);
+
+  return redact({
+    teams: page.map((teamId, i) => ({
+      teamId,
+      teamName: teams[i]?.teamName || null,
+      installed: !!teams[i],
+      installedAt: teams[i]?.installedAt || null,
+      channelCount: channelIds[i].length
+    })),
+    nextCursor
+  });
+}
+
+async function listChannels(teamId, { cursor, size }) {
+  const { page, nextCursor } = paginate(await store.getTeamChannelIds(teamId), cursor, size);
+  const channels = await store.getChannels(teamId, page);
+
+  return redact({
+    teamId,
+    channels: page
+      .map((channelId, i) => channels[i] && summarizeChannel(teamId, channelId, channels[i]))
+      .filter(Boolean),
+    nextCursor
+  });
+}
+
+async function getActiveVotes(teamId, channelId) {
+  const votes = [];
+  for (const skipId of await store.getChannelSkipVoteIds(teamId, channelId)) {
+    const vote = await store.getSkipVote(teamId, channelId, skipId);
+    if (vote) votes.push(describeVote(vote));
+  }
+  return redact(votes.sort((a, b) => a.id.localeCompare(b.id)));
+}
+
+/**
+ * The full (redacted) channel record with its DJs, held requests and open votes
+ * Returns null for unknown channels
+ */
+async function getChannelDetail(teamId, channelId) {
+  const ch = await store.getChannel(teamId, channelId);
+  if (!ch) return null;
+
+  const [djs, heldRequests, votes] = await Promise.all([
+    store.getDjs(teamId, channelId),
+    store.getHeldRequests(teamId, channelId),
+    getActiveVotes(teamId, channelId)
+  ]);
+
+  return redact({
+    ...summarizeChannel(teamId, channelId, ch),
+    record: ch,
+    djs,
+    heldRequests: heldRequests.length,
+    votes
+  });
+}
+
+module.exports = { redact, parsePageSize, listTeams, listChannels, getActiveVotes, getChannelDetail };
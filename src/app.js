@@ -3,31 +3,46 @@ const bodyParser = require('body-parser');
 const path = require('path');
 const slack = require('./slack');
 const spotify = require('./spotify');
-const redis = require('./redis');
+const store = require('./store');
+const tokens = require('./tokens');
+const oauthState = require('./state');
+const songs = require('./songs');
+const blocks = require('./blocks');
+const votes = require('./votes');
+const settings = require('./settings');
+const history = require('./history');
+const limits = require('./limits');
+const policy = require('./policy');
+const songInput = require('./songInput');
+const playlist = require('./playlist');
+const digest = require('./digest');
+const djs = require('./djs');
+const playback = require('./playback');
+const lifecycle = require('./lifecycle');
+const admin = require('./admin');
 const oauth = require('./oauth');
-const { Client, Receiver } = require('@upstash/qstash');
+const scheduler = require('./scheduler');
+const { captureRawBody, verifySlackRequest, verifyAdminToken } = require('./verify');
 
 const app = express();
-app.use(bodyParser.urlencoded({ extended: true }));
-app.use(bodyParser.json());
+// Keep the raw body around so Slack request signatures can be verified
+app.use(bodyParser.urlencoded({ extended: true, verify: captureRawBody }));
+app.use(bodyParser.json({ verify: captureRawBody }));
 
 // Serve static files from public and assets directories
 app.use(express.static(path.join(__dirname, '../public')));
 app.use('/assets', express.static(path.join(__dirname, '../assets')));
 
+// Number of matches offered by the /add-song picker
+const SEARCH_RESULT_LIMIT = 5;
 
-const qstash = process.env.QSTASH_TOKEN ? new Client({ token: process.env.QSTASH_TOKEN }) : null;
-console.log('QStash client initialized:', !!qstash);
+// Number of upcoming tracks shown by /queue (default and maximum)
+const QUEUE_DEFAULT_LENGTH = 10;
+const QUEUE_MAX_LENGTH = 20;
 
-// Initialize Receiver for signature verification
-const receiver = process.env.QSTASH_CURRENT_SIGNING_KEY && process.env.QSTASH_NEXT_SIGNING_KEY
-  ? new Receiver({
-      currentSigningKey: process.env.QSTASH_CURRENT_SIGNING_KEY,
-      nextSigningKey: process.env.QSTASH_NEXT_SIGNING_KEY
-    })
-  : null;
-console.log('QStash Receiver initialized:', !!receiver);
-console.log('============================');
+// Number of entries shown by /history (default and maximum)
+const HISTORY_DEFAULT_LENGTH = 10;
+const HISTORY_MAX_LENGTH = 50;
 
 // Disable caching for all routes (prevents Vercel edge cache 401 errors)
 app.use((req, res, next) => {
@@ -68,8 +83,8 @@ app.get('/slack/oauth/callback', async (req, res) => {
 
     console.log(`Slack app installed for team: ${tokenData.teamName} (${tokenData.teamId})`);
 
-    // Store token in Redis
-    await redis.storeTeamToken(tokenData.teamId, {
+    // Store the bot token
+    await store.storeTeamToken(tokenData.teamId, {
       botToken: tokenData.botToken,
       botUserId: tokenData.botUserId,
       teamName: tokenData.teamName,
@@ -108,38 +123,61 @@ app.get('/slack/oauth/callback', async (req, res) => {
 
 // Helper function to get bot token for a request
 async function getBotToken(teamId) {
-  const teamData = await redis.getTeamToken(teamId);
+  const teamData = await store.getTeamToken(teamId);
   if (!teamData) {
     throw new Error('App not installed in this workspace. Please install at /slack/install');
   }
   return teamData.botToken;
 }
 
+// A connected channel's Spotify account can only be replaced by whoever connected it or a workspace admin
+// (connectedBy is the channel's permanent DJ)
+async function canReplaceConnection(ch, userId, botToken) {
+  if (!ch?.spotify || ch.connectedBy === userId) return true;
+  return slack.isWorkspaceAdmin(userId, botToken);
+}
+
 // Connect endpoint - starts Spotify OAuth for a channel
-app.post('/connect', async (req, res) => {
+app.post('/connect', verifySlackRequest, async (req, res) => {
   // Slack slash command will POST with channel_id, user_id, and team_id
-  const { channel_id, team_id } = req.body;
+  const { channel_id, channel_name, team_id, user_id, user_name } = req.body;
   if (!channel_id) return res.status(400).send('Missing channel_id');
   if (!team_id) return res.status(400).send('Missing team_id');
 
   try {
     // Verify app is installed
-    await getBotToken(team_id);
+    const botToken = await getBotToken(team_id);
+
+    const channel = await store.getChannel(team_id, channel_id);
+    if (!(await canReplaceConnection(channel, user_id, botToken))) {
+      return res.json({ text: `❌ This channel is already connected to Spotify. Only ${channel.connectedBy ? `<@${channel.connectedBy}>, who connected it, or ` : ''}workspace admins can connect another account.` });
+    }
 
     // Store team mapping for this channel
-    await redis.setChannelTeam(channel_id, team_id);
+    await store.setChannelTeam(channel_id, team_id);
 
-    // Create channel entry in Redis if needed
-    let channel = await redis.getChannel(team_id, channel_id);
+    // Create channel entry if needed (the name is used for the channel playlist)
     if (!channel) {
-      await redis.setChannel(team_id, channel_id, { slackChannelId: channel_id });
+      await store.setChannel(team_id, channel_id, { slackChannelId: channel_id, channelName: channel_name });
+    } else if (channel_name && channel.channelName !== channel_name) {
+      await store.updateChannel(team_id, channel_id, { channelName: channel_name });
     }
 
+    // Signed, single-use state records who started the flow
+    const state = await oauthState.createState({
+      teamId: team_id,
+      channelId: channel_id,
+      userId: user_id,
+      userName: user_name
+    });
+
     // Generate Spotify auth URL
-    const authUrl = spotify.generateAuthUrl(channel_id);
+    const authUrl = spotify.generateAuthUrl(state);
 
     // Respond with a message containing the URL for user to click
-    return res.json({ text: `Click to connect Spotify for this channel: ${authUrl}` });
+    return res.json({
+      text: `Click to connect Spotify for this channel: ${authUrl}\nThis link expires in ${oauthState.STATE_TTL / 60} minutes and can only be used once.`
+    });
   } catch (err) {
     console.error('Connect error:', err);
     return res.json({
@@ -150,79 +188,325 @@ app.post('/connect', async (req, res) => {
   }
 });
 
+// Simple HTML page for browser-facing OAuth results
+function resultPage(title, message, ok) {
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <title>${title}</title>
+        <style>
+          body { font-family: system-ui; max-width: 600px; margin: 100px auto; text-align: center; }
+          h1 { color: ${ok ? '#2eb886' : '#e01e5a'}; }
+        </style>
+      </head>
+      <body>
+        <h1>${ok ? '✅' : '❌'} ${title}</h1>
+        <p>${message}</p>
+        <p style="margin-top: 40px; color: #666;">You can close this window.</p>
+      </body>
+    </html>
+  `;
+}
+
 // Spotify redirect callback to exchange code for token
 app.get('/spotify-callback', async (req, res) => {
-  const { code, state } = req.query; // state will contain channel id
-  if (!state) return res.status(400).send('Missing state');
-  const channelId = state;
+  const { code, state, error } = req.query;
+
+  if (error) {
+    console.error('Spotify OAuth error:', error);
+    return res.status(400).send(resultPage('Spotify Connection Cancelled', 'Spotify did not authorize the connection. Run <code>/connect</code> again to retry.', false));
+  }
+  if (!state || !code) {
+    return res.status(400).send(resultPage('Invalid Request', 'Missing authorization code or state.', false));
+  }
 
   try {
+    // Verify and consume the state before touching the code
+    const pending = await oauthState.consumeState(state);
+    if (!pending) {
+      return res.status(400).send(resultPage(
+        'Link Expired or Invalid',
+        'This connect link has expired, was already used, or is not valid. Run <code>/connect</code> in the channel again to get a new link.',
+        false
+      ));
+    }
+
+    const { teamId, channelId, userId, userName } = pending;
+
+    // Checked again: the channel may have been connected by someone else since the link was made
+    const current = await store.getChannel(teamId, channelId);
+    if (!(await canReplaceConnection(current, userId, (await store.getTeamToken(teamId))?.botToken))) {
+      return res.status(403).send(resultPage(
+        'Already Connected',
+        'This channel is already connected to Spotify by someone else. Only they or a workspace admin can connect another account.',
+        false
+      ));
+    }
+
     const token = await spotify.exchangeCodeForToken(code);
 
-    // Get the team ID for this channel
-    const teamId = await redis.getChannelTeam(channelId);
-    if (!teamId) {
-      return res.status(400).send('Channel not found or not connected');
+    const connected = await store.updateChannel(teamId, channelId, {
+      spotify: token,
+      connectedBy: userId,
+      connectedAt: new Date().toISOString()
+    });
+    await digest.ensureScheduled(teamId, channelId, connected);
+
+    // Let the channel know who connected Spotify
+    try {
+      const botToken = await getBotToken(teamId);
+      await slack.postMessage(channelId, `🎧 ${userId ? `<@${userId}>` : userName} connected Spotify to this channel.`, botToken);
+    } catch (err) {
+      console.error('Failed to post Spotify connection confirmation:', err.message);
     }
 
-    await redis.updateChannel(teamId, channelId, { spotify: token });
-    return res.send('Spotify connected for channel ' + channelId + '. You can close this window.');
+    return res.send(resultPage('Spotify Connected', 'Spotify is now connected to your Slack channel.', true));
   } catch (err) {
     console.error(err);
-    return res.status(500).send('Spotify token exchange failed');
+    return res.status(500).send(resultPage('Connection Failed', 'Spotify token exchange failed. Run <code>/connect</code> again to retry.', false));
+  }
+});
+
+// Disconnect endpoint - invoked by Slack slash command /disconnect
+app.post('/disconnect', verifySlackRequest, async (req, res) => {
+  const { channel_id, team_id, user_id } = req.body;
+  if (!channel_id) return res.status(400).send('Missing channel_id');
+  if (!team_id) return res.status(400).send('Missing team_id');
+
+  try {
+    const botToken = await getBotToken(team_id);
+
+    const ch = await store.getChannel(team_id, channel_id);
+    if (!ch || !ch.spotify) {
+      return res.json({ text: 'Channel is not connected to Spotify.' });
+    }
+
+    // The person who connected Spotify, or a workspace admin
+    if (ch.connectedBy !== user_id && !(await slack.isWorkspaceAdmin(user_id, botToken))) {
+      return res.json({ text: `❌ Only ${ch.connectedBy ? `<@${ch.connectedBy}>, who connected Spotify, or ` : ''}workspace admins can disconnect Spotify.` });
+    }
+
+    const closedVotes = await lifecycle.disconnectChannel(team_id, channel_id, botToken);
+    const votesNote = closedVotes ? ` ${closedVotes} open vote${closedVotes === 1 ? ' was' : 's were'} closed.` : '';
+    return res.json({
+      response_type: 'in_channel',
+      text: `🔌 <@${user_id}> disconnected Spotify from this channel.${votesNote} Channel settings are kept - use /connect to link an account again.`
+    });
+  } catch (err) {
+    console.error('Failed to disconnect channel:', err);
+    res.json({ text: `Failed to disconnect Spotify: ${err.message}` });
   }
 });
 
 // Add song endpoint - invoked by Slack slash command /add-song
-app.post('/add-song', async (req, res) => {
-  const { channel_id, text, user_name, user_id, team_id } = req.body;
+app.post('/add-song', verifySlackRequest, async (req, res) => {
+  const { channel_id, text, team_id, user_id, user_name, response_url } = req.body;
   if (!channel_id) return res.status(400).send('Missing channel_id');
-  if (!text) return res.status(400).send('Need song text like "Song - Artist"');
+  if (!text) return res.status(400).send('Need a Spotify link, "Song - Artist" or search words');
   if (!team_id) return res.status(400).send('Missing team_id');
 
   try {
     // Get bot token for this team
     const botToken = await getBotToken(team_id);
 
-    const ch = await redis.getChannel(team_id, channel_id);
+    const ch = await store.getChannel(team_id, channel_id);
     if (!ch || !ch.spotify) {
       return res.json({ text: 'Channel is not connected to Spotify. Use /connect first.' });
     }
 
-    const parsed = spotify.parseSongText(text);
-    if (!parsed) return res.json({ text: 'Could not parse song. Use format: Song - Artist' });
+    // Fail early if the queue is locked or the user is over their quota (checked again for each track)
+    const lockError = await djs.checkQueueLock(team_id, channel_id, ch, user_id);
+    if (lockError) {
+      return res.json({ text: lockError.message });
+    }
+
+    const quotaError = await limits.checkQuota(team_id, channel_id, ch, user_id);
+    if (quotaError) {
+      return res.json({ text: quotaError.message });
+    }
 
-    // Search for the track on Spotify
-    console.log(`Searching Spotify for: ${parsed.title} - ${parsed.artist}`);
-    const track = await spotify.searchTrack(parsed.title, parsed.artist, ch.spotify.accessToken);
+    const parsed = songInput.parseSongInput(text);
+    if (parsed.error) {
+      return res.json({ text: `❌ ${parsed.error}` });
+    }
 
-    if (!track) {
-      return res.json({ text: `Could not find "${parsed.title}" by ${parsed.artist} on Spotify. Try different search terms.` });
+    const request = { teamId: team_id, channelId: channel_id, ch, userId: user_id, userName: user_name, botToken };
+
+    // Track links and URIs are queued directly
+    if (parsed.type === 'track') {
+      const track = await tokens.withAccessToken(team_id, channel_id, ch, (accessToken) =>
+        spotify.getTrack(parsed.id, accessToken)
+      );
+      if (!track) {
+        return res.json({ text: '❌ That track was not found on Spotify. Check the link and try again.' });
+      }
+      const result = await songs.requestTrack({ ...request, track });
+      return res.json({ text: result.message });
     }
 
-    // Add to Spotify queue
-    console.log(`Adding track to Spotify queue: ${track.uri}`);
-    await spotify.addToQueue(track.uri, ch.spotify.accessToken);
+    // Album and playlist links queue their first few tracks. Checking and queueing them takes
+    // too long for Slack's 3 second limit, so /process-collection does it and replies via response_url
+    if (parsed.type === 'album' || parsed.type === 'playlist') {
+      const { collectionLimit } = settings.getSection(ch, 'addSong');
+      const tracks = await tokens.withAccessToken(team_id, channel_id, ch, (accessToken) =>
+        parsed.type === 'album'
+          ? spotify.getAlbumTracks(parsed.id, accessToken, collectionLimit)
+          : spotify.getPlaylistTracks(parsed.id, accessToken, collectionLimit)
+      );
+      if (!tracks) {
+        return res.json({ text: `❌ That ${parsed.type} was not found on Spotify. It may be private - check the link and try again.` });
+      }
+      if (!tracks.length) {
+        return res.json({ text: `❌ That ${parsed.type} has no playable tracks.` });
+      }
 
-    // Post public message to channel (with bot token)
-    const userName = user_name || user_id;
-    await slack.postMessage(
-      ch.slackChannelId,
-      `✅ ${userName} added "${track.name}" by ${track.artists.map(a => a.name).join(', ')} to the queue!`,
-      botToken
+      await scheduler.publish('/process-collection', {
+        teamId: team_id,
+        channelId: channel_id,
+        userId: user_id,
+        userName: user_name,
+        collectionType: parsed.type,
+        tracks,
+        responseUrl: response_url
+      }, 0);
+      return res.json({ text: `⏳ Adding ${tracks.length} track${tracks.length === 1 ? '' : 's'} from the ${parsed.type}...` });
+    }
+
+    // Everything else is a search - let the requester pick the right version
+    const description = songInput.describeSearch(parsed);
+    console.log(`Searching Spotify for: ${description}`);
+    const tracks = await tokens.withAccessToken(team_id, channel_id, ch, (accessToken) =>
+      spotify.searchTracks(parsed, accessToken, SEARCH_RESULT_LIMIT)
     );
 
-    // Send ephemeral confirmation back to slash command
-    res.json({ text: 'Song added!' });
+    if (tracks.length === 0) {
+      return res.json({ text: `Could not find "${description}" on Spotify. Try different search terms or paste a Spotify link.` });
+    }
+
+    // Ephemeral picker, handled by /slack/interactions
+    res.json({
+      response_type: 'ephemeral',
+      ...blocks.searchResults(description, tracks)
+    });
   } catch (err) {
     console.error('Failed to add song:', err);
     res.json({ text: `Failed to add song: ${err.message}` });
   }
 });
 
-// Skip song endpoint - invoked by Slack slash command /skip
-app.post('/skip', async (req, res) => {
-  const { channel_id, user_name, user_id, team_id } = req.body;
+// Slack interactivity endpoint - button clicks from Block Kit messages
+app.post('/slack/interactions', verifySlackRequest, async (req, res) => {
+  let payload;
+  try {
+    payload = JSON.parse(req.body.payload);
+  } catch (err) {
+    return res.status(400).send('Invalid payload');
+  }
+
+  if (payload.type !== 'block_actions' || !payload.actions?.length) {
+    return res.sendStatus(200);
+  }
+
+  const action = payload.actions[0];
+  const teamId = payload.team?.id;
+  const channelId = payload.channel?.id;
+  const userId = payload.user?.id;
+  const userName = payload.user?.username || payload.user?.name;
+  const responseUrl = payload.response_url;
+
+  console.log(`Interaction "${action.action_id}" from ${userId} in ${teamId}:${channelId}`);
+
+  try {
+    if (action.action_id === blocks.ACTIONS.CANCEL_SEARCH) {
+      await slack.respond(responseUrl, { delete_original: true });
+      return res.sendStatus(200);
+    }
+
+    if (action.action_id === blocks.ACTIONS.SKIP_VOTE_KEEP || action.action_id === blocks.ACTIONS.SKIP_VOTE_SKIP) {
+      const skipVote = await store.getSkipVote(teamId, channelId, action.value);
+      if (!skipVote || skipVote.resolved) {
+        await slack.respond(responseUrl, { response_type: 'ephemeral', replace_original: false, text: 'This skip vote is already closed.' });
+        return res.sendStatus(200);
+      }
+
+      const botToken = await getBotToken(teamId);
+      const choice = action.action_id === blocks.ACTIONS.SKIP_VOTE_KEEP ? votes.VOTE_UP : votes.VOTE_DOWN;
+      await votes.castVote(teamId, channelId, skipVote, userId, choice, botToken);
+      return res.sendStatus(200);
+    }
+
+    if (action.action_id === blocks.ACTIONS.SKIP_VOTE_DJ) {
+      const [decision, skipId] = (action.selected_option?.value || '').split(':');
+      const ch = await store.getChannel(teamId, channelId);
+      if (!(await djs.isDj(teamId, channelId, ch, userId))) {
+        await slack.respond(responseUrl, { response_type: 'ephemeral', replace_original: false, text: '🎧 Only DJs can settle a skip vote. Ask a DJ, or vote with the buttons.' });
+        return res.sendStatus(200);
+      }
+
+      const skipVote = await store.getSkipVote(teamId, channelId, skipId);
+      if (!skipVote || skipVote.resolved) {
+        await slack.respond(responseUrl, { response_type: 'ephemeral', replace_original: false, text: 'This skip vote is already closed.' });
+        return res.sendStatus(200);
+      }
+
+      console.log(`DJ ${userId} settled skip vote ${skipId} with "${decision}"`);
+      const botToken = await getBotToken(teamId);
+      await votes.resolveVote(teamId, channelId, ch, skipVote, botToken, { decision, userId });
+      return res.sendStatus(200);
+    }
+
+    if (action.action_id === blocks.ACTIONS.USE_DEVICE) {
+      const ch = await store.getChannel(teamId, channelId);
+      if (!ch || !ch.spotify) {
+        await slack.respond(responseUrl, { replace_original: true, text: 'Channel is not connected to Spotify. Use /connect first.' });
+        return res.sendStatus(200);
+      }
+
+      if (!(await canChangeDevice(teamId, channelId, ch, userId))) {
+        await slack.respond(responseUrl, { response_type: 'ephemeral', replace_original: false, text: DEVICE_PERMISSION_MESSAGE });
+        return res.sendStatus(200);
+      }
+
+      const device = JSON.parse(action.value);
+      await tokens.withAccessToken(teamId, channelId, ch, (accessToken) =>
+        spotify.transferPlayback(device.id, accessToken)
+      );
+      await store.updateChannel(teamId, channelId, { preferredDevice: device });
+      console.log(`Playback in ${teamId}:${channelId} moved to ${device.name} (${device.id}) by ${userId}`);
+
+      await slack.respond(responseUrl, { replace_original: true, text: `✅ Playback moved to *${device.name}*, now this channel's preferred device.` });
+      const botToken = await getBotToken(teamId);
+      await slack.postMessage(ch.slackChannelId || channelId, `🔈 <@${userId}> moved playback to *${device.name}*.`, botToken);
+      return res.sendStatus(200);
+    }
+
+    if (action.action_id.startsWith(blocks.ACTIONS.QUEUE_TRACK)) {
+      const botToken = await getBotToken(teamId);
+      const ch = await store.getChannel(teamId, channelId);
+      if (!ch || !ch.spotify) {
+        await slack.respond(responseUrl, { replace_original: true, text: 'Channel is not connected to Spotify. Use /connect first.' });
+        return res.sendStatus(200);
+      }
+
+      const track = JSON.parse(action.value);
+      const result = await songs.requestTrack({ teamId, channelId, ch, track, userId, userName, botToken });
+
+      await slack.respond(responseUrl, { replace_original: true, text: result.message });
+      return res.sendStatus(200);
+    }
+
+    res.sendStatus(200);
+  } catch (err) {
+    console.error('Failed to handle interaction:', err);
+    await slack.respond(responseUrl, { response_type: 'ephemeral', replace_original: false, text: `Something went wrong: ${err.message}` }).catch(() => {});
+    res.sendStatus(200);
+  }
+});
+
+// Skip song endpoint - invoked by Slack slash command /skip [now]
+app.post('/skip', verifySlackRequest, async (req, res) => {
+  const { channel_id, user_name, user_id, team_id, text } = req.body;
   if (!channel_id) return res.status(400).send('Missing channel_id');
   if (!team_id) return res.status(400).send('Missing team_id');
 
@@ -230,109 +514,665 @@ app.post('/skip', async (req, res) => {
     // Get bot token for this team
     const botToken = await getBotToken(team_id);
 
-    const ch = await redis.getChannel(team_id, channel_id);
+    const ch = await store.getChannel(team_id, channel_id);
     if (!ch || !ch.spotify) {
       return res.json({ text: 'Channel is not connected to Spotify. Use /connect first.' });
     }
 
-    // Check if QStash is configured
-    console.log('Skip endpoint - QStash check:', {
-      qstashExists: !!qstash,
-      tokenExists: !!process.env.QSTASH_TOKEN,
-      tokenLength: process.env.QSTASH_TOKEN?.length || 0,
-      baseUrl: process.env.BASE_URL || 'not set',
-      vercelUrl: process.env.VERCEL_URL || 'not set'
-    });
+    // DJs can skip right away, without a vote or cooldown
+    if ((text || '').trim().toLowerCase() === 'now') {
+      if (!(await djs.isDj(team_id, channel_id, ch, user_id))) {
+        return res.json({ text: '🎧 Only DJs can skip without a vote. Use /skip to start a vote.' });
+      }
+
+      const currentTrack = await tokens.withAccessToken(team_id, channel_id, ch, (accessToken) =>
+        spotify.getCurrentlyPlayingTrack(accessToken)
+      );
+      if (!currentTrack || !currentTrack.trackName) {
+        return res.json({ text: 'No song is currently playing.' });
+      }
+
+      await playback.perform(team_id, channel_id, ch, { action: 'skip' });
+      await store.updateChannel(team_id, channel_id, { lastSkipAt: Date.now() });
+      console.log(`DJ ${user_id} skipped "${currentTrack.trackName}" in ${team_id}:${channel_id}`);
 
-    if (!qstash) {
-      return res.json({ text: 'QStash is not configured. Please set QSTASH_TOKEN environment variable.' });
+      return res.json({ response_type: 'in_channel', text: `⏭️ DJ <@${user_id}> skipped "${currentTrack.trackName}" by ${currentTrack.artistName}.` });
+    }
+
+    // Per-channel voting rules (see /playlift config)
+    const policy = settings.getSection(ch, 'skipVote');
+
+    if (policy.cooldownSeconds && ch.lastSkipAt) {
+      const waitMs = ch.lastSkipAt + policy.cooldownSeconds * 1000 - Date.now();
+      if (waitMs > 0) {
+        return res.json({ text: `⏳ A song was skipped recently. You can start another skip vote in ${Math.ceil(waitMs / 1000)} seconds.` });
+      }
     }
 
     // Get currently playing track
-    const currentTrack = await spotify.getCurrentlyPlayingTrack(ch.spotify.accessToken);
+    const currentTrack = await tokens.withAccessToken(team_id, channel_id, ch, (accessToken) =>
+      spotify.getCurrentlyPlayingTrack(accessToken)
+    );
 
     if (!currentTrack || !currentTrack.trackName) {
       return res.json({ text: 'No song is currently playing.' });
     }
 
-    // Create a skip vote entry
-    const skipId = Date.now().toString();
-    const skipVote = {
-      id: skipId,
-      trackName: currentTrack.trackName,
-      artistName: currentTrack.artistName,
-      requestedBy: user_name || user_id,
-      messageTs: null,
-      resolved: false
-    };
-
-    // Post skip vote message to Slack (with bot token)
-    const message = await slack.postSkipVoteMessage(
-      ch.slackChannelId,
-      skipVote.trackName,
-      skipVote.artistName,
-      skipVote.requestedBy,
+    const skipVote = await votes.startVote({
+      teamId: team_id,
+      channelId: channel_id,
+      ch,
+      currentTrack,
+      userId: user_id,
+      userName: user_name,
       botToken
+    });
+
+    // Respond immediately to Slack
+    res.json({ text: `Skip vote started for "${skipVote.trackName}"! Click Keep or Skip (or react with 👍 / 👎). Voting closes in ${skipVote.windowSeconds} seconds.` });
+
+  } catch (err) {
+    console.error('Failed to initiate skip:', err);
+    res.json({ text: `Failed to skip: ${err.message}` });
+  }
+});
+
+// Playback control commands - /pause, /resume, /previous and /volume <0-100>
+// Each is open to anyone, DJs only, or put to a vote (see the `controls` settings)
+function playbackCommand(actionName) {
+  return async (req, res) => {
+    const { channel_id, team_id, user_id, user_name, text } = req.body;
+    if (!channel_id) return res.status(400).send('Missing channel_id');
+    if (!team_id) return res.status(400).send('Missing team_id');
+
+    const request = { action: actionName };
+    if (actionName === 'volume') {
+      const volume = settings.parseValue({ name: 'volume', type: 'int', min: 0, max: 100 }, text);
+      if (volume.error) {
+        return res.json({ text: '❌ Use `/volume <0-100>`, e.g. `/volume 40`' });
+      }
+      request.volumePercent = volume.value;
+    }
+    const action = playback.getAction(request);
+
+    try {
+      const botToken = await getBotToken(team_id);
+
+      const ch = await store.getChannel(team_id, channel_id);
+      if (!ch || !ch.spotify) {
+        return res.json({ text: 'Channel is not connected to Spotify. Use /connect first.' });
+      }
+
+      const permission = settings.getSection(ch, 'controls')[actionName];
+      const isDj = permission !== 'anyone' && await djs.isDj(team_id, channel_id, ch, user_id);
+
+      if (permission === 'dj' && !isDj) {
+        return res.json({ text: `🎧 Only DJs can use /${actionName} in this channel.` });
+      }
+
+      if (permission === 'vote' && !isDj) {
+        const currentTrack = await tokens.withAccessToken(team_id, channel_id, ch, (accessToken) =>
+          spotify.getCurrentlyPlayingTrack(accessToken)
+        );
+        if (!currentTrack || !currentTrack.trackName) {
+          return res.json({ text: 'No song is currently playing.' });
+        }
+
+        const vote = await votes.startVote({
+          teamId: team_id,
+          channelId: channel_id,
+          ch,
+          currentTrack,
+          userId: user_id,
+          userName: user_name,
+          botToken,
+          ...request
+        });
+        return res.json({ text: `${action.emoji} Vote started: ${action.title(vote)}. Voting closes in ${vote.windowSeconds} seconds.` });
+      }
+
+      await playback.perform(team_id, channel_id, ch, request);
+      console.log(`${user_id} ${action.done(request)} in ${team_id}:${channel_id}`);
+      res.json({ response_type: 'in_channel', text: `${action.emoji} <@${user_id}> ${action.done(request)}.` });
+    } catch (err) {
+      console.error(`Failed to handle /${actionName}:`, err);
+      res.json({ text: `Failed to ${action.verb}: ${err.message}` });
+    }
+  };
+}
+
+app.post('/pause', verifySlackRequest, playbackCommand('pause'));
+app.post('/resume', verifySlackRequest, playbackCommand('resume'));
+app.post('/previous', verifySlackRequest, playbackCommand('previous'));
+app.post('/volume', verifySlackRequest, playbackCommand('volume'));
+
+const DEVICE_PERMISSION_MESSAGE = '🎧 Only DJs can change the playback device in this channel.';
+
+// Moving playback (or forgetting the preferred device) follows the `devices` playback control
+async function canChangeDevice(teamId, channelId, ch, userId) {
+  const permission = settings.getSection(ch, 'controls').devices;
+  return permission === 'anyone' || djs.isDj(teamId, channelId, ch, userId);
+}
+
+// Devices endpoint - invoked by Slack slash command /devices [forget]
+app.post('/devices', verifySlackRequest, async (req, res) => {
+  const { channel_id, team_id, user_id, text } = req.body;
+  if (!channel_id) return res.status(400).send('Missing channel_id');
+  if (!team_id) return res.status(400).send('Missing team_id');
+
+  try {
+    // Verify app is installed
+    await getBotToken(team_id);
+
+    const ch = await store.getChannel(team_id, channel_id);
+    if (!ch || !ch.spotify) {
+      return res.json({ text: 'Channel is not connected to Spotify. Use /connect first.' });
+    }
+
+    if ((text || '').trim().toLowerCase() === 'forget') {
+      if (!(await canChangeDevice(team_id, channel_id, ch, user_id))) {
+        return res.json({ text: DEVICE_PERMISSION_MESSAGE });
+      }
+      await store.updateChannel(team_id, channel_id, { preferredDevice: null });
+      return res.json({ text: ch.preferredDevice ? `✅ *${ch.preferredDevice.name}* is no longer this channel's preferred device.` : 'This channel has no preferred device.' });
+    }
+
+    const deviceList = await tokens.withAccessToken(team_id, channel_id, ch, (accessToken) =>
+      spotify.getDevices(accessToken)
     );
 
-    skipVote.messageTs = message.ts;
+    // Ephemeral list - the "Play here" buttons are handled by /slack/interactions
+    res.json({ response_type: 'ephemeral', ...blocks.deviceList(deviceList, ch.preferredDevice) });
+  } catch (err) {
+    console.error('Failed to get devices:', err);
+    res.json({ text: `Failed to get devices: ${err.message}` });
+  }
+});
 
-    // Store in Redis with empty vote sets
-    await redis.setSkipVote(team_id, channel_id, skipId, {
-      ...skipVote,
-      thumbsUpUsers: new Set(),
-      thumbsDownUsers: new Set()
-    });
+// Now playing endpoint - invoked by Slack slash command /now-playing
+app.post('/now-playing', verifySlackRequest, async (req, res) => {
+  const { channel_id, team_id } = req.body;
+  if (!channel_id) return res.status(400).send('Missing channel_id');
+  if (!team_id) return res.status(400).send('Missing team_id');
 
-    console.log(`Skip vote initiated for "${skipVote.trackName}" by ${skipVote.requestedBy}. Scheduled to process in 10 seconds.`);
+  try {
+    // Verify app is installed
+    await getBotToken(team_id);
 
-    // Schedule QStash job to process skip vote in 10 seconds
-    const baseUrl = process.env.BASE_URL ||
-                    (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : null) ||
-                    'http://localhost:3000';
+    const ch = await store.getChannel(team_id, channel_id);
+    if (!ch || !ch.spotify) {
+      return res.json({ text: 'Channel is not connected to Spotify. Use /connect first.' });
+    }
 
-    await qstash.publishJSON({
-      url: `${baseUrl}/process-skip`,
-      body: { channelId: channel_id, skipId, teamId: team_id },
-      delay: 10 // seconds
-    });
+    const currentTrack = await tokens.withAccessToken(team_id, channel_id, ch, (accessToken) =>
+      spotify.getCurrentlyPlayingTrack(accessToken)
+    );
 
-    // Respond immediately to Slack
-    res.json({ text: `Skip vote started for "${skipVote.trackName}"! React with 👍 or 👎. Voting closes in 10 seconds.` });
+    if (!currentTrack || !currentTrack.trackName) {
+      return res.json({ text: 'No song is currently playing.' });
+    }
 
+    // Attribute the track if it was queued through /add-song
+    const requester = currentTrack.trackUri
+      ? await store.getTrackRequester(team_id, channel_id, currentTrack.trackUri)
+      : null;
+
+    res.json({ response_type: 'in_channel', ...blocks.nowPlaying(currentTrack, requester) });
   } catch (err) {
-    console.error('Failed to initiate skip:', err);
-    res.json({ text: `Failed to skip: ${err.message}` });
+    console.error('Failed to get now playing:', err);
+    res.json({ text: `Failed to get currently playing track: ${err.message}` });
   }
 });
 
-// Process skip vote - called by QStash after delay
-app.post('/process-skip', async (req, res) => {
-  console.log(`Processing skip vote request received`);
+// Queue endpoint - invoked by Slack slash command /queue [count] [public]
+app.post('/queue', verifySlackRequest, async (req, res) => {
+  const { channel_id, team_id, text } = req.body;
+  if (!channel_id) return res.status(400).send('Missing channel_id');
+  if (!team_id) return res.status(400).send('Missing team_id');
+
+  const args = (text || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const isPublic = args.includes('public');
+  const countArg = args.find(arg => /^\d+$/.test(arg));
+  const count = countArg ? Math.min(Math.max(Number(countArg), 1), QUEUE_MAX_LENGTH) : QUEUE_DEFAULT_LENGTH;
+
+  try {
+    // Verify app is installed
+    await getBotToken(team_id);
+
+    const ch = await store.getChannel(team_id, channel_id);
+    if (!ch || !ch.spotify) {
+      return res.json({ text: 'Channel is not connected to Spotify. Use /connect first.' });
+    }
+
+    const queue = await tokens.withAccessToken(team_id, channel_id, ch, (accessToken) =>
+      spotify.getQueue(accessToken)
+    );
+
+    const upcoming = queue.slice(0, count);
+    const requesters = await store.getTrackRequesters(team_id, channel_id, upcoming.map(track => track.uri));
 
-  // Verify QStash signature if receiver is configured
-  if (receiver) {
-    const signature = req.headers['upstash-signature'];
+    res.json({
+      response_type: isPublic ? 'in_channel' : 'ephemeral',
+      ...blocks.queueList(upcoming, requesters)
+    });
+  } catch (err) {
+    console.error('Failed to get queue:', err);
+    res.json({ text: `Failed to get queue: ${err.message}` });
+  }
+});
+
+// Playlist endpoint - invoked by Slack slash command /playlist
+app.post('/playlist', verifySlackRequest, async (req, res) => {
+  const { channel_id, team_id } = req.body;
+  if (!channel_id) return res.status(400).send('Missing channel_id');
+  if (!team_id) return res.status(400).send('Missing team_id');
+
+  try {
+    // Verify app is installed
+    await getBotToken(team_id);
+
+    const ch = await store.getChannel(team_id, channel_id);
+    if (!ch || !ch.spotify) {
+      return res.json({ text: 'Channel is not connected to Spotify. Use /connect first.' });
+    }
 
-    if (!signature) {
-      console.error('Missing upstash-signature header');
-      return res.status(401).send('Unauthorized: Missing signature');
+    const { mirror } = settings.getSection(ch, 'playlist');
+    if (!mirror && !ch.playlist) {
+      return res.json({ text: 'This channel doesn\'t keep a playlist yet. Turn it on with `/playlift config playlist on`.' });
     }
 
+    let channelPlaylist;
     try {
-      // Verify the request came from QStash
-      await receiver.verify({
-        signature,
-        body: JSON.stringify(req.body)
-      });
-      console.log('QStash signature verified successfully');
+      channelPlaylist = await playlist.ensurePlaylist(team_id, channel_id, ch);
     } catch (err) {
-      console.error('Invalid QStash signature:', err.message);
-      return res.status(401).send('Unauthorized: Invalid signature');
+      console.error('Failed to get channel playlist:', err);
+      return res.json({ text: playlist.describeError(err) });
+    }
+
+    res.json({
+      response_type: 'in_channel',
+      text: `🎶 Everything queued in this channel${mirror ? ' goes' : ' went'} into <${channelPlaylist.url}|${channelPlaylist.name}>` +
+        (mirror ? '' : ' (new songs aren\'t being added right now)')
+    });
+  } catch (err) {
+    console.error('Failed to get playlist:', err);
+    res.json({ text: `Failed to get playlist: ${err.message}` });
+  }
+});
+
+const DJ_USAGE = [
+  'Usage:',
+  '• `/dj` - list this channel\'s DJs',
+  '• `/dj add @user` / `/dj remove @user` - grant or revoke the DJ role (the person who connected Spotify)',
+  '• `/dj lock` / `/dj unlock` - only let DJs add songs (DJs)',
+  'DJs can also skip right away with `/skip now` and settle open skip votes from the vote message\'s ⋯ menu.'
+].join('\n');
+
+// Slack user ID from an escaped mention, e.g. <@U123ABC|alice>
+function parseUserMention(text) {
+  const match = /^<@([UW][A-Z0-9]+)(?:\|[^>]*)?>$/.exec((text || '').trim());
+  return match ? match[1] : null;
+}
+
+// DJ endpoint - invoked by Slack slash command /dj [add|remove @user | lock | unlock]
+app.post('/dj', verifySlackRequest, async (req, res) => {
+  const { channel_id, team_id, user_id, text } = req.body;
+  if (!channel_id) return res.status(400).send('Missing channel_id');
+  if (!team_id) return res.status(400).send('Missing team_id');
+
+  const [action, ...rest] = (text || '').trim().split(/\s+/).filter(Boolean);
+
+  try {
+    const botToken = await getBotToken(team_id);
+
+    const ch = await store.getChannel(team_id, channel_id);
+    if (!ch || !ch.spotify) {
+      return res.json({ text: 'Channel is not connected to Spotify. Use /connect first.' });
+    }
+
+    if (!action) {
+      const djIds = await store.getDjs(team_id, channel_id);
+      const names = [ch.connectedBy, ...djIds.filter(id => id !== ch.connectedBy)].filter(Boolean).map(id => `<@${id}>`);
+      const lock = ch.queueLock ? `\n🔒 The queue is locked by <@${ch.queueLock.lockedBy}>.` : '';
+      return res.json({ text: `🎧 *DJs in this channel:* ${names.length ? names.join(', ') : '_none_'}${lock}\n\n${DJ_USAGE}` });
+    }
+
+    switch (action.toLowerCase()) {
+      case 'add':
+      case 'remove': {
+        if (!(await djs.canManageDjs(ch, user_id, botToken))) {
+          return res.json({ text: `❌ Only ${ch.connectedBy ? `<@${ch.connectedBy}>, who connected Spotify,` : 'workspace admins'} can change the DJs.` });
+        }
+        const djId = parseUserMention(rest.join(' '));
+        if (!djId) {
+          return res.json({ text: `❌ Mention the user, e.g. \`/dj ${action.toLowerCase()} @alice\`` });
+        }
+
+        if (action.toLowerCase() === 'add') {
+          await store.addDj(team_id, channel_id, djId);
+          console.log(`Channel ${team_id}:${channel_id} DJ added by ${user_id}: ${djId}`);
+          return res.json({ response_type: 'in_channel', text: `🎧 <@${djId}> is now a DJ in this channel.` });
+        }
+
+        if (djId === ch.connectedBy) {
+          return res.json({ text: '❌ The person who connected Spotify is always a DJ.' });
+        }
+        const removed = await store.removeDj(team_id, channel_id, djId);
+        console.log(`Channel ${team_id}:${channel_id} DJ removed by ${user_id}: ${djId}`);
+        return res.json({ text: removed ? `✅ <@${djId}> is no longer a DJ.` : `<@${djId}> wasn't a DJ.` });
+      }
+
+      case 'lock':
+      case 'unlock': {
+        if (!(await djs.isDj(team_id, channel_id, ch, user_id))) {
+          return res.json({ text: '🎧 Only DJs can lock or unlock the queue.' });
+        }
+
+        const locking = action.toLowerCase() === 'lock';
+        await store.updateChannel(team_id, channel_id, {
+          queueLock: locking ? { lockedBy: user_id, lockedAt: new Date().toISOString() } : null
+        });
+        console.log(`Channel ${team_id}:${channel_id} queue ${locking ? 'locked' : 'unlocked'} by ${user_id}`);
+        return res.json({
+          response_type: 'in_channel',
+          text: locking
+            ? `🔒 <@${user_id}> locked the queue - only DJs can add songs until it's unlocked.`
+            : `🔓 <@${user_id}> unlocked the queue - everyone can add songs again.`
+        });
+      }
+
+      default:
+        return res.json({ text: `Unknown option \`${action}\`.\n${DJ_USAGE}` });
+    }
+  } catch (err) {
+    console.error('Failed to handle /dj:', err);
+    res.json({ text: `Failed to update DJs: ${err.message}` });
+  }
+});
+
+// History endpoint - invoked by Slack slash command /history [count]
+app.post('/history', verifySlackRequest, async (req, res) => {
+  const { channel_id, team_id, text } = req.body;
+  if (!channel_id) return res.status(400).send('Missing channel_id');
+  if (!team_id) return res.status(400).send('Missing team_id');
+
+  const countArg = (text || '').trim().match(/^\d+$/);
+  const count = countArg ? Math.min(Math.max(Number(countArg[0]), 1), HISTORY_MAX_LENGTH) : HISTORY_DEFAULT_LENGTH;
+
+  try {
+    // Verify app is installed
+    await getBotToken(team_id);
+
+    const entries = await store.getRecentHistory(team_id, channel_id, count);
+    if (!entries.length) {
+      return res.json({ text: 'No requests recorded for this channel yet.' });
+    }
+
+    res.json({ text: `*Recent activity*\n${entries.map(history.formatEntry).join('\n')}` });
+  } catch (err) {
+    console.error('Failed to get history:', err);
+    res.json({ text: `Failed to get history: ${err.message}` });
+  }
+});
+
+// Parse a from/to query value - date-only `to` values include the whole day
+function parseDateParam(value, endOfDay) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return date.getTime() + 24 * 60 * 60 * 1000 - 1;
+  }
+  return date.getTime();
+}
+
+// History export for team reports - GET /history/export?team_id=T&channel_id=C&from=2024-01-01&to=2024-01-31&format=csv
+app.get('/history/export', verifyAdminToken, async (req, res) => {
+  const { team_id, channel_id, from, to, format = 'json' } = req.query;
+  if (!team_id || !channel_id) {
+    return res.status(400).json({ error: 'team_id and channel_id are required' });
+  }
+  if (format !== 'json' && format !== 'csv') {
+    return res.status(400).json({ error: 'format must be json or csv' });
+  }
+
+  const fromMs = parseDateParam(from, false);
+  const toMs = parseDateParam(to, true);
+  if (fromMs === null || toMs === null) {
+    return res.status(400).json({ error: 'from and to must be ISO dates (e.g. 2024-01-31)' });
+  }
+
+  try {
+    const entries = await store.getHistoryRange(team_id, channel_id, fromMs, toMs);
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="history-${team_id}-${channel_id}.csv"`);
+      return res.send(history.toCsv(entries));
+    }
+    res.json({ teamId: team_id, channelId: channel_id, count: entries.length, entries });
+  } catch (err) {
+    console.error('Failed to export history:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const PLAYLIFT_USAGE = [
+  'Usage:',
+  '• `/playlift config` - show this channel\'s settings',
+  '• `/playlift config <setting> <value>` - change a setting (DJs and workspace admins)',
+  '• `/playlift policy` - show this channel\'s content policy',
+  '• `/playlift policy explicit allow|block` - allow or block explicit tracks (admins)',
+  '• `/playlift policy max-length <minutes>` - cap track length, 0 for no cap (admins)',
+  '• `/playlift policy block-artist|unblock-artist <artist>` - manage the artist blocklist (admins)',
+  '• `/playlift policy block-track|unblock-track <Spotify link or Song - Artist>` - manage the track blocklist (admins)',
+  '• `/playlift digest` - show when the weekly digest is posted',
+  '• `/playlift digest <day> <HH:MM> [timezone]` - post the digest at another time, e.g. `friday 16:00 Europe/London` (DJs and workspace admins)',
+  '• `/playlift digest on|off|preview` - turn the digest on or off (DJs and workspace admins), or preview this week\'s'
+].join('\n');
+
+// `/playlift config [setting] [value]` - changes are limited to DJs and workspace admins
+async function configCommand({ teamId, channelId, ch, userId, args, botToken }) {
+  const [name, ...rest] = args;
+  if (!name) {
+    return `*Settings for this channel*\n${settings.describe(ch)}`;
+  }
+
+  const setting = settings.findSetting(name);
+  if (!setting) {
+    return `Unknown setting \`${name}\`. Available settings:\n${settings.describe(ch)}`;
+  }
+
+  const value = rest.join(' ').trim();
+  if (!value) {
+    const current = settings.getSection(ch, setting.section)[setting.field];
+    return `\`${setting.name}\` is *${settings.formatValue(setting, current)}* - ${setting.description}\nChange it with \`/playlift config ${setting.name} <value>\` (${settings.describeValues(setting)}).`;
+  }
+
+  if (!(await djs.canChangeSettings(teamId, channelId, ch, userId, botToken))) {
+    return '❌ Only DJs and workspace admins can change this channel\'s settings.';
+  }
+
+  const parsed = settings.parseValue(setting, value);
+  if (parsed.error) {
+    return `❌ ${parsed.error}`;
+  }
+
+  await store.updateChannelSettings(teamId, channelId, setting.section, { [setting.field]: parsed.value });
+  console.log(`Channel ${teamId}:${channelId} setting ${setting.name} = ${parsed.value} (by ${userId})`);
+
+  return `✅ \`${setting.name}\` is now *${settings.formatValue(setting, parsed.value)}*`;
+}
+
+// Resolve a track from a Spotify link/URI, "Song - Artist" or search words
+async function resolveTrackReference(teamId, channelId, ch, text) {
+  const parsed = songInput.parseSongInput(text);
+  if (parsed.type !== 'track' && parsed.type !== 'search') return null;
+  return tokens.withAccessToken(teamId, channelId, ch, (accessToken) =>
+    parsed.type === 'track' ? spotify.getTrack(parsed.id, accessToken) : spotify.searchTrack(parsed, accessToken)
+  );
+}
+
+// `/playlift digest [on|off|preview|<day> <HH:MM> [timezone]]` - changes are limited to DJs and workspace admins
+async function digestCommand({ teamId, channelId, ch, userId, args, botToken }) {
+  const [action, ...rest] = args;
+  const current = digest.getDigest(ch);
+
+  const describeSchedule = (config, runAt) => {
+    if (!runAt) return digest.describe(config);
+    const unix = Math.floor(runAt / 1000);
+    return `${digest.describe(config)} Next one: <!date^${unix}^{date_long_pretty} at {time}|${new Date(runAt).toISOString()}>.`;
+  };
+  const save = async (updates) => {
+    const updated = await store.updateChannelSettings(teamId, channelId, 'digest', updates);
+    const runAt = await digest.scheduleDigest(teamId, channelId, updated);
+    console.log(`Channel ${teamId}:${channelId} digest updated by ${userId}:`, updates);
+    return `✅ ${describeSchedule(digest.getDigest(updated), runAt)}`;
+  };
+
+  if (!action) {
+    return describeSchedule(current, current.enabled ? ch.digestScheduledFor : null);
+  }
+
+  if (action.toLowerCase() !== 'preview' && !(await djs.canChangeSettings(teamId, channelId, ch, userId, botToken))) {
+    return '❌ Only DJs and workspace admins can change the weekly digest.';
+  }
+
+  switch (action.toLowerCase()) {
+    case 'on':
+      return save({ enabled: true });
+
+    case 'off':
+      return save({ enabled: false });
+
+    case 'preview': {
+      const summary = await digest.buildSummary(teamId, channelId);
+      return blocks.weeklyDigest(summary);
+    }
+
+    default: {
+      const day = digest.parseDay(action);
+      const time = digest.parseTime(rest[0]);
+      if (day === null || !time) {
+        return '❌ Use `/playlift digest <day> <HH:MM> [timezone]`, e.g. `/playlift digest friday 16:00 Europe/London`';
+      }
+      const timezone = rest[1] || current.timezone;
+      if (!digest.isValidTimezone(timezone)) {
+        return `❌ \`${timezone}\` is not a timezone I know. Use a name like \`Europe/London\` or \`America/New_York\`.`;
+      }
+      return save({ enabled: true, day, time, timezone });
+    }
+  }
+}
+
+// `/playlift policy [action] [value]` - changes are limited to workspace admins
+async function policyCommand({ teamId, channelId, ch, userId, args, botToken }) {
+  const [action, ...rest] = args;
+  const value = rest.join(' ').trim();
+  const current = policy.getPolicy(ch);
+
+  if (!action) {
+    return `*Content policy for this channel*\n${policy.describe(current)}`;
+  }
+
+  if (!(await slack.isWorkspaceAdmin(userId, botToken))) {
+    return '❌ Only workspace admins can change the content policy.';
+  }
+
+  const save = async (updates, message) => {
+    await store.updateChannelSettings(teamId, channelId, 'contentPolicy', updates);
+    console.log(`Channel ${teamId}:${channelId} content policy updated by ${userId}:`, updates);
+    return `✅ ${message}`;
+  };
+  const sameItem = (item) => item.id === value || item.name.toLowerCase() === value.toLowerCase();
+
+  switch (action) {
+    case 'explicit': {
+      if (value !== 'allow' && value !== 'block') return '❌ Use `/playlift policy explicit allow` or `/playlift policy explicit block`';
+      return save({ blockExplicit: value === 'block' }, `Explicit tracks are now *${value === 'block' ? 'blocked' : 'allowed'}*`);
+    }
+
+    case 'max-length': {
+      if (!value) return '❌ Give a length in minutes, e.g. `/playlift policy max-length 8` (0 for no cap)';
+      const parsed = settings.parseValue({ name: 'max-length', type: 'int', min: 0, max: 120 }, value);
+      if (parsed.error) return `❌ ${parsed.error}`;
+      return save({ maxDurationMinutes: parsed.value }, parsed.value ? `Tracks longer than *${parsed.value} minutes* are now blocked` : 'Track length is no longer limited');
+    }
+
+    case 'block-artist': {
+      if (!value) return '❌ Give an artist name, e.g. `/playlift policy block-artist Nickelback`';
+      const artist = await tokens.withAccessToken(teamId, channelId, ch, (accessToken) =>
+        spotify.searchArtist(value, accessToken)
+      );
+      if (!artist) return `❌ Could not find an artist called "${value}" on Spotify.`;
+      if (current.blockedArtists.some(a => a.id === artist.id)) return `${artist.name} is already blocked.`;
+      return save({ blockedArtists: [...current.blockedArtists, artist] }, `*${artist.name}* is now blocked`);
+    }
+
+    case 'unblock-artist': {
+      const artist = current.blockedArtists.find(sameItem);
+      if (!artist) return `❌ "${value}" is not on the artist blocklist.`;
+      return save({ blockedArtists: current.blockedArtists.filter(a => a !== artist) }, `*${artist.name}* is no longer blocked`);
+    }
+
+    case 'block-track': {
+      if (!value) return '❌ Give a Spotify track link or "Song - Artist"';
+      const track = await resolveTrackReference(teamId, channelId, ch, value);
+      if (!track) return `❌ Could not find "${value}" on Spotify.`;
+      const name = `${track.name} - ${blocks.artistNames(track)}`;
+      if (current.blockedTracks.some(t => t.id === track.id)) return `"${name}" is already blocked.`;
+      return save({ blockedTracks: [...current.blockedTracks, { id: track.id, name }] }, `*${name}* is now blocked`);
+    }
+
+    case 'unblock-track': {
+      const idMatch = /(?:spotify:track:|track\/)([A-Za-z0-9]+)/.exec(value);
+      const track = current.blockedTracks.find(t => (idMatch && t.id === idMatch[1]) || sameItem(t));
+      if (!track) return `❌ "${value}" is not on the track blocklist.`;
+      return save({ blockedTracks: current.blockedTracks.filter(t => t !== track) }, `*${track.name}* is no longer blocked`);
+    }
+
+    default:
+      return `Unknown policy option \`${action}\`.\n${PLAYLIFT_USAGE}`;
+  }
+}
+
+// Playlift settings command - invoked by Slack slash command /playlift
+app.post('/playlift', verifySlackRequest, async (req, res) => {
+  const { channel_id, team_id, user_id, text } = req.body;
+  if (!channel_id) return res.status(400).send('Missing channel_id');
+  if (!team_id) return res.status(400).send('Missing team_id');
+
+  const [subcommand, ...args] = (text || '').trim().split(/\s+/).filter(Boolean);
+
+  try {
+    const botToken = await getBotToken(team_id);
+
+    const ch = await store.getChannel(team_id, channel_id);
+    if (!ch) {
+      return res.json({ text: 'Channel is not connected to Spotify. Use /connect first.' });
     }
-  } else {
-    console.warn('QStash signature verification skipped - signing keys not configured');
+
+    const context = { teamId: team_id, channelId: channel_id, ch, userId: user_id, args, botToken };
+    if (subcommand === 'config') {
+      return res.json({ text: await configCommand(context) });
+    }
+    if (subcommand === 'policy') {
+      return res.json({ text: await policyCommand(context) });
+    }
+    if (subcommand === 'digest') {
+      const reply = await digestCommand(context);
+      return res.json(typeof reply === 'string' ? { text: reply } : reply);
+    }
+    res.json({ text: PLAYLIFT_USAGE });
+  } catch (err) {
+    console.error('Failed to update settings:', err);
+    res.json({ text: `Failed to update settings: ${err.message}` });
   }
+});
+
+// Process skip vote - called by the scheduler after delay
+app.post('/process-skip', scheduler.verifyJob, async (req, res) => {
+  console.log(`Processing skip vote request received`);
 
   const { channelId, skipId, teamId } = req.body;
 
@@ -342,13 +1182,14 @@ app.post('/process-skip', async (req, res) => {
     // Get bot token for this team
     const botToken = await getBotToken(teamId);
 
-    const ch = await redis.getChannel(teamId, channelId);
+    const ch = await store.getChannel(teamId, channelId);
     if (!ch) {
       console.log('Channel not found');
       return res.sendStatus(200);
     }
 
-    const skipVote = await redis.getSkipVote(teamId, channelId, skipId);
+    // A DJ may have already closed it
+    const skipVote = await store.getSkipVote(teamId, channelId, skipId);
     if (!skipVote) {
       console.log('Skip vote not found');
       return res.sendStatus(200);
@@ -360,36 +1201,181 @@ app.post('/process-skip', async (req, res) => {
       return res.sendStatus(200);
     }
 
-    const thumbsUpCount = skipVote.thumbsUpUsers.size;
-    const thumbsDownCount = skipVote.thumbsDownUsers.size;
+    await votes.resolveVote(teamId, channelId, ch, skipVote, botToken);
 
-    console.log(`Skip vote completed. Final count: 👍 ${thumbsUpCount} (${Array.from(skipVote.thumbsUpUsers).join(', ')}) 👎 ${thumbsDownCount} (${Array.from(skipVote.thumbsDownUsers).join(', ')})`);
+    res.sendStatus(200);
+  } catch (err) {
+    console.error('Failed to process skip vote:', err);
+    res.sendStatus(500);
+  }
+});
 
-    // Decide result
-    let resultMessage;
-    if (thumbsUpCount >= thumbsDownCount) {
-      resultMessage = `🎵 The song was saved! "${skipVote.trackName}" will keep playing. (👍 ${thumbsUpCount} vs 👎 ${thumbsDownCount})`;
-    } else {
-      // Skip the song
-      await spotify.skipTrack(ch.spotify.accessToken);
-      resultMessage = `⏭️ Song skipped: "${skipVote.trackName}" by ${skipVote.artistName} (👍 ${thumbsUpCount} vs 👎 ${thumbsDownCount})`;
+// Release held fair-share requests - called by the scheduler while requests are held
+app.post('/process-held', scheduler.verifyJob, async (req, res) => {
+  const { teamId, channelId } = req.body;
+  console.log(`Processing held requests: channelId=${channelId}, teamId=${teamId}`);
+
+  try {
+    const botToken = await getBotToken(teamId);
+
+    const ch = await store.getChannel(teamId, channelId);
+    if (!ch || !ch.spotify) {
+      console.log('Channel not found or not connected');
+      return res.sendStatus(200);
+    }
+
+    const remaining = await songs.releaseHeldRequests(teamId, channelId, ch, botToken);
+    console.log(`Held requests remaining: ${remaining}`);
+    res.sendStatus(200);
+  } catch (err) {
+    console.error('Failed to process held requests:', err);
+    res.sendStatus(500);
+  }
+});
+
+// Append a queued track to the channel playlist - scheduled by songs.queueTrack when mirroring is on
+app.post('/process-mirror', scheduler.verifyJob, async (req, res) => {
+  const { teamId, channelId, track } = req.body;
+  console.log(`Processing playlist mirror: channelId=${channelId}, teamId=${teamId}, track=${track.uri}`);
+
+  try {
+    const ch = await store.getChannel(teamId, channelId);
+    if (!ch || !ch.spotify) {
+      console.log('Channel not found or not connected');
+      return res.sendStatus(200);
+    }
+
+    await playlist.mirrorTrack(teamId, channelId, ch, track);
+    res.sendStatus(200);
+  } catch (err) {
+    console.error('Failed to process playlist mirror:', err);
+    res.sendStatus(500);
+  }
+});
+
+// Queue the tracks of an album or playlist link - scheduled by /add-song
+// Always answers 200: a retry would queue the tracks that already made it again
+app.post('/process-collection', scheduler.verifyJob, async (req, res) => {
+  const { teamId, channelId, userId, userName, collectionType, tracks, responseUrl } = req.body;
+  console.log(`Processing ${collectionType} request: channelId=${channelId}, teamId=${teamId}, tracks=${tracks.length}`);
+
+  const reply = (text) => slack.respond(responseUrl, { response_type: 'ephemeral', replace_original: false, text });
+
+  try {
+    const botToken = await getBotToken(teamId);
+
+    const ch = await store.getChannel(teamId, channelId);
+    if (!ch || !ch.spotify) {
+      await reply('Channel is not connected to Spotify. Use /connect first.');
+      return res.sendStatus(200);
+    }
+
+    const label = `a${collectionType === 'album' ? 'n album' : ' playlist'}`;
+    const result = await songs.requestTracks({ teamId, channelId, ch, tracks, label, userId, userName, botToken });
+    const lines = [`Queued ${result.queued.length} of ${tracks.length} tracks from the ${collectionType}.`];
+    if (result.held.length) lines.push(`⏸️ ${result.held.length} held by fair share.`);
+    result.rejected.forEach(({ message }) => lines.push(message));
+    await reply(lines.join('\n'));
+  } catch (err) {
+    console.error(`Failed to process ${collectionType} request:`, err);
+    await reply(`Failed to add the ${collectionType}: ${err.message}`).catch(() => {});
+  }
+  res.sendStatus(200);
+});
+
+// Most track links queued from a single message
+const AUTO_QUEUE_MAX_LINKS = 5;
+
+// Queue Spotify track links posted in a channel that has auto-queue turned on
+// The setting is checked again - it may have changed since the message was posted
+async function autoQueueMessage(teamId, ev) {
+  const trackIds = songInput.findTrackIds(ev.text).slice(0, AUTO_QUEUE_MAX_LINKS);
+  if (!trackIds.length) return;
+
+  const ch = await store.getChannel(teamId, ev.channel);
+  if (!ch || !ch.spotify || !settings.getSection(ch, 'addSong').autoQueueLinks) return;
+
+  const botToken = await getBotToken(teamId);
+  const user = await slack.getUserInfo(ev.user, botToken).catch(() => null);
+  const request = { teamId, channelId: ev.channel, ch, userId: ev.user, userName: user?.name, botToken, announce: false };
+
+  const rejections = [];
+  let accepted = 0;
+  for (const trackId of trackIds) {
+    const track = await tokens.withAccessToken(teamId, ev.channel, ch, (accessToken) =>
+      spotify.getTrack(trackId, accessToken)
+    );
+    if (!track) {
+      rejections.push(`❌ The track \`${trackId}\` was not found on Spotify.`);
+      continue;
+    }
+
+    const result = await songs.requestTrack({ ...request, track });
+    if (result.ok) accepted++;
+    else rejections.push(result.message);
+  }
+
+  console.log(`Auto-queue in ${teamId}:${ev.channel}: ${accepted} accepted, ${rejections.length} rejected`);
+  if (accepted) await slack.addReaction(ev.channel, ev.ts, 'white_check_mark', botToken);
+  if (rejections.length) {
+    await slack.addReaction(ev.channel, ev.ts, 'x', botToken);
+    await slack.postEphemeral(ev.channel, ev.user, rejections.join('\n'), botToken);
+  }
+}
+
+// Queue the track links of a message - scheduled by the Events API handler (/emoji-callback)
+// Always answers 200: a retry would queue the tracks that already made it again
+app.post('/process-auto-queue', scheduler.verifyJob, async (req, res) => {
+  const { teamId, event } = req.body;
+  console.log(`Processing auto-queue: channelId=${event.channel}, teamId=${teamId}`);
+
+  try {
+    await autoQueueMessage(teamId, event);
+  } catch (err) {
+    console.error('Failed to auto-queue message links:', err);
+  }
+  res.sendStatus(200);
+});
+
+// Weekly digest - called by the scheduler at the channel's digest time
+app.post('/process-digest', scheduler.verifyJob, async (req, res) => {
+  const { teamId, channelId, scheduledFor } = req.body;
+  console.log(`Processing weekly digest: channelId=${channelId}, teamId=${teamId}`);
+
+  try {
+    const ch = await store.getChannel(teamId, channelId);
+    if (!ch || !ch.spotify) {
+      console.log('Channel not found or not connected');
+      return res.sendStatus(200);
     }
 
-    // Post result to Slack (with bot token)
-    await slack.postMessage(ch.slackChannelId, resultMessage, botToken);
+    // The schedule was changed (or this job was already handled) since it was published
+    if (!digest.getDigest(ch).enabled || ch.digestScheduledFor !== scheduledFor) {
+      console.log('Ignoring stale digest job');
+      return res.sendStatus(200);
+    }
 
-    // Clean up skip vote from Redis
-    await redis.deleteSkipVote(teamId, channelId, skipId);
+    // Book next week's run first so a retried job is recognised as stale
+    await digest.scheduleDigest(teamId, channelId, ch, Math.max(Date.now(), scheduledFor));
 
+    const summary = await digest.buildSummary(teamId, channelId, scheduledFor);
+    if (!summary.addCount && !summary.voteCount) {
+      console.log('No activity this week, skipping digest');
+      return res.sendStatus(200);
+    }
+
+    const botToken = await getBotToken(teamId);
+    const message = blocks.weeklyDigest(summary);
+    await slack.postMessage(ch.slackChannelId || channelId, message.text, botToken, message.blocks);
     res.sendStatus(200);
   } catch (err) {
-    console.error('Failed to process skip vote:', err);
+    console.error('Failed to process weekly digest:', err);
     res.sendStatus(500);
   }
 });
 
 // Emoji callback from Slack Events API
-app.post('/emoji-callback', async (req, res) => {
+app.post('/emoji-callback', verifySlackRequest, async (req, res) => {
   const payload = req.body;
 
   // Slack URL verification challenge - respond with challenge value
@@ -398,10 +1384,70 @@ app.post('/emoji-callback', async (req, res) => {
     return res.send(payload.challenge);
   }
 
-  // We're expecting event callbacks for reaction_added and reaction_removed
+  // We're expecting event callbacks for messages, reaction_added and reaction_removed,
+  // plus app_uninstalled / tokens_revoked to clean up a workspace
   if (payload.type === 'event_callback') {
     const ev = payload.event;
 
+    if (ev.type === 'app_uninstalled' || ev.type === 'tokens_revoked') {
+      // Revoking only user tokens leaves the bot installed
+      if (ev.type === 'tokens_revoked' && !ev.tokens?.bot?.length) {
+        return res.sendStatus(200);
+      }
+
+      try {
+        await lifecycle.purgeTeam(payload.team_id, ev.type);
+      } catch (err) {
+        console.error(`Failed to delete data for team ${payload.team_id}:`, err);
+        return res.sendStatus(500);
+      }
+      return res.sendStatus(200);
+    }
+
+    if (ev.type === 'message') {
+      // Only plain user messages - skip bots, edits, deletions and joins
+      if (ev.bot_id || (ev.subtype && ev.subtype !== 'thread_broadcast') || !ev.user) {
+        return res.sendStatus(200);
+      }
+
+      // Most messages have no track links, or are posted where auto-queue is off - nothing to record
+      if (!songInput.findTrackIds(ev.text).length) return res.sendStatus(200);
+
+      try {
+        const teamId = await store.getChannelTeam(ev.channel);
+        if (!teamId) return res.sendStatus(200);
+
+        const ch = await store.getChannel(teamId, ev.channel);
+        if (!ch || !ch.spotify || !settings.getSection(ch, 'addSong').autoQueueLinks) {
+          return res.sendStatus(200);
+        }
+
+        // Slack retries events that take more than 3 seconds - queue each message once
+        const seenKey = `event:${payload.event_id || `${ev.channel}:${ev.ts}`}`;
+        const firstDelivery = await store.markRequestSeen(seenKey, 60 * 60);
+        if (!firstDelivery) {
+          console.log(`Ignoring repeated message event ${payload.event_id}`);
+          return res.sendStatus(200);
+        }
+
+        // Looking up and queueing the tracks happens in /process-auto-queue, after Slack has its answer
+        try {
+          await scheduler.publish('/process-auto-queue', {
+            teamId,
+            event: { channel: ev.channel, user: ev.user, ts: ev.ts, text: ev.text }
+          }, 0);
+        } catch (err) {
+          // Nothing was queued - forget the event and fail, so Slack's retry gets another go
+          console.error('Failed to schedule auto-queue for message links:', err);
+          await store.forgetRequestSeen(seenKey);
+          return res.sendStatus(500);
+        }
+      } catch (err) {
+        console.error('Failed to schedule auto-queue for message links:', err);
+      }
+      return res.sendStatus(200);
+    }
+
     // Only process reaction events
     if (ev.type !== 'reaction_added' && ev.type !== 'reaction_removed') {
       return res.sendStatus(200);
@@ -416,14 +1462,14 @@ app.post('/emoji-callback', async (req, res) => {
     const messageTs = ev.item.ts;
 
     // Get team ID for this channel
-    const teamId = await redis.getChannelTeam(channelId);
+    const teamId = await store.getChannelTeam(channelId);
     if (!teamId) {
       console.log(`Ignoring reaction: channel ${channelId} has no team mapping`);
       return res.sendStatus(200);
     }
 
     // Find the skip vote that matches this message ts (ID)
-    const skipVote = await redis.findSkipVoteByMessageTs(teamId, channelId, messageTs);
+    const skipVote = await store.findSkipVoteByMessageTs(teamId, channelId, messageTs);
 
     // Ignore reactions on messages that aren't tracked skip votes
     if (!skipVote) {
@@ -431,7 +1477,7 @@ app.post('/emoji-callback', async (req, res) => {
       return res.sendStatus(200);
     }
 
-    // Ignore if voting has been resolved (10 seconds passed)
+    // Ignore if voting has been resolved (window passed)
     if (skipVote.resolved) {
       console.log(`Ignoring reaction: skip vote already resolved`);
       return res.sendStatus(200);
@@ -440,30 +1486,21 @@ app.post('/emoji-callback', async (req, res) => {
     console.log(`Processing ${ev.type} reaction "${ev.reaction}" on skip vote for: ${skipVote.trackName}`);
 
     const userId = ev.user; // User who reacted
-    const skipId = skipVote.id;
-
-    // Update vote sets based on reaction type
-    if (ev.type === 'reaction_added') {
-      if (ev.reaction === '+1' || ev.reaction === 'thumbsup' || ev.reaction === 'thumbs_up') {
-        await redis.addThumbsUp(teamId, skipId, userId);
-      }
-      if (ev.reaction === '-1' || ev.reaction === 'thumbsdown' || ev.reaction === 'thumbs_down') {
-        await redis.addThumbsDown(teamId, skipId, userId);
-      }
+    const isThumbsUp = ev.reaction === '+1' || ev.reaction === 'thumbsup' || ev.reaction === 'thumbs_up';
+    const isThumbsDown = ev.reaction === '-1' || ev.reaction === 'thumbsdown' || ev.reaction === 'thumbs_down';
+    if (!isThumbsUp && !isThumbsDown) {
+      return res.sendStatus(200);
     }
 
-    if (ev.type === 'reaction_removed') {
-      if (ev.reaction === '+1' || ev.reaction === 'thumbsup' || ev.reaction === 'thumbs_up') {
-        await redis.removeThumbsUp(teamId, skipId, userId);
-      }
-      if (ev.reaction === '-1' || ev.reaction === 'thumbsdown' || ev.reaction === 'thumbs_down') {
-        await redis.removeThumbsDown(teamId, skipId, userId);
-      }
-    }
+    const choice = isThumbsUp ? votes.VOTE_UP : votes.VOTE_DOWN;
+    const botToken = await getBotToken(teamId);
 
-    // Fetch updated counts for logging
-    const updatedVote = await redis.getSkipVote(teamId, channelId, skipId);
-    console.log(`Skip vote count: 👍 ${updatedVote.thumbsUpUsers.size} unique users, 👎 ${updatedVote.thumbsDownUsers.size} unique users`);
+    // Update vote sets (one vote per user) and the tally on the message
+    if (ev.type === 'reaction_added') {
+      await votes.castVote(teamId, channelId, skipVote, userId, choice, botToken);
+    } else {
+      await votes.withdrawVote(teamId, channelId, skipVote, userId, choice, botToken);
+    }
 
     return res.sendStatus(200);
   }
@@ -471,13 +1508,104 @@ app.post('/emoji-callback', async (req, res) => {
   res.sendStatus(200);
 });
 
-// Expose a route to inspect Redis data (for dev/debug)
-app.get('/_store', async (req, res) => {
+// Admin API - requires `Authorization: Bearer $ADMIN_API_TOKEN`, tokens are always redacted (see admin.js)
+// Slack team and channel IDs only, so they can't reach into other keys
+const ADMIN_CHANNEL_PATH = '/admin/teams/:teamId([A-Z0-9]+)/channels/:channelId([A-Z0-9]+)';
+
+function adminPage(req, res) {
+  const size = admin.parsePageSize(req.query.limit);
+  if (size === null) {
+    res.status(400).json({ error: 'limit must be a number from 1 to 100' });
+    return null;
+  }
+  return { cursor: req.query.cursor, size };
+}
+
+app.get('/admin/teams', verifyAdminToken, async (req, res) => {
+  const page = adminPage(req, res);
+  if (!page) return;
+
+  try {
+    res.json(await admin.listTeams(page));
+  } catch (err) {
+    console.error('Admin: failed to list teams:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/admin/teams/:teamId([A-Z0-9]+)/channels', verifyAdminToken, async (req, res) => {
+  const page = adminPage(req, res);
+  if (!page) return;
+
+  try {
+    res.json(await admin.listChannels(req.params.teamId, page));
+  } catch (err) {
+    console.error('Admin: failed to list channels:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get(ADMIN_CHANNEL_PATH, verifyAdminToken, async (req, res) => {
+  const { teamId, channelId } = req.params;
+  try {
+    const detail = await admin.getChannelDetail(teamId, channelId);
+    if (!detail) return res.status(404).json({ error: 'Channel not found' });
+    res.json(detail);
+  } catch (err) {
+    console.error('Admin: failed to get channel:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get(`${ADMIN_CHANNEL_PATH}/votes`, verifyAdminToken, async (req, res) => {
+  const { teamId, channelId } = req.params;
+  try {
+    res.json({ teamId, channelId, votes: await admin.getActiveVotes(teamId, channelId) });
+  } catch (err) {
+    console.error('Admin: failed to list votes:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Force a channel to disconnect from Spotify (same as /disconnect)
+app.post(`${ADMIN_CHANNEL_PATH}/disconnect`, verifyAdminToken, async (req, res) => {
+  const { teamId, channelId } = req.params;
+  try {
+    const ch = await store.getChannel(teamId, channelId);
+    if (!ch) return res.status(404).json({ error: 'Channel not found' });
+
+    const botToken = (await store.getTeamToken(teamId))?.botToken;
+    const closedVotes = await lifecycle.disconnectChannel(teamId, channelId, botToken);
+    console.log(`Admin: disconnected ${teamId}:${channelId}`);
+
+    if (botToken && ch.spotify) {
+      try {
+        await slack.postMessage(ch.slackChannelId || channelId, '🔌 Spotify was disconnected from this channel by an admin. Use /connect to link an account again.', botToken);
+      } catch (err) {
+        console.error('Failed to announce admin disconnect:', err.message);
+      }
+    }
+    res.json({ teamId, channelId, wasConnected: !!ch.spotify, closedVotes });
+  } catch (err) {
+    console.error('Admin: failed to disconnect channel:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Close stuck votes without acting on them - one vote with `{ "skipId": "..." }`, otherwise all
+app.post(`${ADMIN_CHANNEL_PATH}/votes/clear`, verifyAdminToken, async (req, res) => {
+  const { teamId, channelId } = req.params;
+  const skipId = req.body?.skipId;
+  if (skipId !== undefined && !/^\d+$/.test(String(skipId))) {
+    return res.status(400).json({ error: 'skipId must be a vote ID' });
+  }
+
   try {
-    const channels = await redis.getAllChannels();
-    res.json({ channels });
+    const botToken = (await store.getTeamToken(teamId))?.botToken;
+    const closedVotes = await lifecycle.clearVotes(teamId, channelId, botToken, skipId && String(skipId));
+    res.json({ teamId, channelId, closedVotes });
   } catch (err) {
-    console.error('Failed to fetch store data:', err);
+    console.error('Admin: failed to clear votes:', err);
     res.status(500).json({ error: err.message });
   }
 });
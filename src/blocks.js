@@ -0,0 +1,279 @@
+/**
+ * Slack Block Kit message builders
+ * https://api.slack.com/block-kit
+ */
+
+const playback = require('./playback');
+
+// Action IDs handled by the /slack/interactions endpoint
+const ACTIONS = {
+  QUEUE_TRACK: 'queue_track',
+  CANCEL_SEARCH: 'cancel_search',
+  SKIP_VOTE_KEEP: 'skip_vote_keep',
+  SKIP_VOTE_SKIP: 'skip_vote_skip',
+  SKIP_VOTE_DJ: 'skip_vote_dj',
+  USE_DEVICE: 'use_device'
+};
+
+function formatDuration(ms) {
+  if (!ms && ms !== 0) return '?:??';
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+function artistNames(track) {
+  return (track.artists || []).map(a => a.name).join(', ');
+}
+
+/**
+ * Ephemeral search-result picker for /add-song
+ */
+function searchResults(query, tracks) {
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `🔎 Top matches for *${query}* - pick one to queue:` }
+    }
+  ];
+
+  tracks.forEach((track, i) => {
+    const details = [
+      track.album?.name,
+      formatDuration(track.durationMs),
+      track.explicit ? '🅴 Explicit' : null
+    ].filter(Boolean).join(' · ');
+
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*${track.name}*\n${artistNames(track)}\n_${details}_` },
+      accessory: {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Queue this' },
+        action_id: `${ACTIONS.QUEUE_TRACK}_${i}`,
+        // Enough to queue and announce without searching again
+        value: JSON.stringify({
+          id: track.id,
+          uri: track.uri,
+          name: track.name,
+          artists: (track.artists || []).map(a => ({ id: a.id, name: a.name })),
+          durationMs: track.durationMs,
+          explicit: track.explicit
+        })
+      }
+    });
+  });
+
+  blocks.push({
+    type: 'actions',
+    elements: [
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Cancel' },
+        action_id: ACTIONS.CANCEL_SEARCH
+      }
+    ]
+  });
+
+  return { text: `Top matches for "${query}"`, blocks };
+}
+
+function voterList(users) {
+  const ids = Array.from(users || []);
+  return ids.length ? ids.map(id => `<@${id}>`).join(', ') : '_nobody yet_';
+}
+
+/**
+ * Skip (or other playback) vote message with Keep/Change buttons and a live tally
+ * Pass `result` (text) once the vote is resolved to drop the buttons
+ */
+function skipVote(vote, result) {
+  const up = vote.thumbsUpUsers || new Set();
+  const down = vote.thumbsDownUsers || new Set();
+  const action = playback.getAction(vote);
+  const requested = `${action.emoji} ${action.title(vote)} requested by ${vote.requestedBy}`;
+  const text = `${requested}: "${vote.trackName}" by ${vote.artistName}`;
+
+  const header = result
+    ? `${requested}\n🎵 "${vote.trackName}" by ${vote.artistName}`
+    : `${requested}\n🎵 Currently playing: "${vote.trackName}" by ${vote.artistName}\n\nVote within ${vote.windowSeconds} seconds - click a button or react with 👍 / 👎.`;
+
+  const messageBlocks = [
+    { type: 'section', text: { type: 'mrkdwn', text: header } },
+    {
+      type: 'context',
+      elements: [
+        { type: 'mrkdwn', text: `*${action.keepLabel}: ${up.size}* - ${voterList(up)}` },
+        { type: 'mrkdwn', text: `*${action.changeLabel}: ${down.size}* - ${voterList(down)}` }
+      ]
+    }
+  ];
+
+  if (result) {
+    messageBlocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Result:* ${result}` } });
+  } else {
+    messageBlocks.push({
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: action.keepLabel },
+          style: 'primary',
+          action_id: ACTIONS.SKIP_VOTE_KEEP,
+          value: vote.id
+        },
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: action.changeLabel },
+          style: 'danger',
+          action_id: ACTIONS.SKIP_VOTE_SKIP,
+          value: vote.id
+        },
+        {
+          // DJ-only decisions, checked when clicked
+          type: 'overflow',
+          action_id: ACTIONS.SKIP_VOTE_DJ,
+          options: [
+            { text: { type: 'plain_text', text: `🎧 DJ: ${action.djChange}` }, value: `skip:${vote.id}` },
+            { text: { type: 'plain_text', text: `🎧 DJ: ${action.djKeep}` }, value: `keep:${vote.id}` },
+            { text: { type: 'plain_text', text: '🎧 DJ: cancel vote' }, value: `cancel:${vote.id}` }
+          ]
+        }
+      ]
+    });
+  }
+
+  return { text: result ? `${text} - ${result}` : text, blocks: messageBlocks };
+}
+
+// Text progress bar, e.g. ▬▬▬▬🔘▬▬▬▬▬
+function progressBar(progressMs, durationMs, width = 20) {
+  if (!durationMs) return '';
+  const position = Math.min(width - 1, Math.floor((progressMs / durationMs) * width));
+  return '▬'.repeat(position) + '🔘' + '▬'.repeat(width - position - 1);
+}
+
+/**
+ * Now-playing message with album art, progress and who queued the track
+ */
+function nowPlaying(track, requester) {
+  const state = track.isPlaying ? '▶️ Playing' : '⏸️ Paused';
+  const lines = [
+    `*${track.trackName}*`,
+    track.artistName,
+    track.albumName ? `_${track.albumName}_` : null,
+    '',
+    `${state}  ${progressBar(track.progressMs, track.durationMs)}  ${formatDuration(track.progressMs)} / ${formatDuration(track.durationMs)}`
+  ].filter(line => line !== null);
+
+  const section = { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } };
+  if (track.albumArtUrl) {
+    section.accessory = { type: 'image', image_url: track.albumArtUrl, alt_text: track.albumName || track.trackName };
+  }
+
+  const messageBlocks = [section];
+  if (requester) {
+    messageBlocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `Added by ${requester.userId ? `<@${requester.userId}>` : requester.userName}` }]
+    });
+  }
+
+  return { text: `🎵 Now playing: "${track.trackName}" by ${track.artistName}`, blocks: messageBlocks };
+}
+
+/**
+ * Upcoming tracks, marking the ones queued through /add-song with their requester
+ */
+function queueList(tracks, requesters) {
+  if (!tracks.length) {
+    return { text: 'The queue is empty.', blocks: [{ type: 'section', text: { type: 'mrkdwn', text: '📭 The queue is empty.' } }] };
+  }
+
+  const lines = tracks.map((track, i) => {
+    const requester = requesters[track.uri];
+    const addedBy = requester ? ` - added by ${requester.userId ? `<@${requester.userId}>` : requester.userName}` : '';
+    return `${i + 1}. *${track.name}* - ${artistNames(track)} (${formatDuration(track.durationMs)})${addedBy}`;
+  });
+
+  return {
+    text: `Up next: ${tracks.length} track${tracks.length === 1 ? '' : 's'}`,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: '🎶 *Up next*' } },
+      { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } }
+    ]
+  };
+}
+
+const DEVICE_ICONS = { Computer: '💻', Smartphone: '📱', Speaker: '🔈', TV: '📺', CastAudio: '🔈', CastVideo: '📺' };
+
+/**
+ * Spotify Connect devices with a button to move playback to each one
+ */
+function deviceList(devices, preferredDevice) {
+  if (!devices.length) {
+    const text = '📭 No Spotify devices found. Open Spotify on the speaker or computer you want to use, then run /devices again.';
+    return { text, blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }] };
+  }
+
+  const messageBlocks = [{ type: 'section', text: { type: 'mrkdwn', text: '🔈 *Spotify devices*' } }];
+  devices.forEach(device => {
+    const notes = [
+      device.isActive ? '*playing here*' : null,
+      preferredDevice?.id === device.id ? 'preferred' : null,
+      device.isRestricted ? "can't be controlled remotely" : null
+    ].filter(Boolean);
+
+    const section = {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `${DEVICE_ICONS[device.type] || '🎵'} ${device.name}${notes.length ? ` - ${notes.join(', ')}` : ''}` }
+    };
+    if (!device.isRestricted && device.id) {
+      section.accessory = {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Play here' },
+        action_id: ACTIONS.USE_DEVICE,
+        value: JSON.stringify({ id: device.id, name: device.name })
+      };
+    }
+    messageBlocks.push(section);
+  });
+  messageBlocks.push({
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: 'The device you pick becomes the channel\'s preferred device, used whenever nothing else is playing.' }]
+  });
+
+  return { text: `Spotify devices: ${devices.map(device => device.name).join(', ')}`, blocks: messageBlocks };
+}
+
+function weeklyDigest(summary) {
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  const leaderboard = (title, rows) => ({
+    type: 'section',
+    text: { type: 'mrkdwn', text: `*${title}*\n${rows.length ? rows.join('\n') : '_Nothing yet_'}` }
+  });
+  const medal = (i) => ['🥇', '🥈', '🥉'][i] || `${i + 1}.`;
+
+  const requesters = summary.topRequesters.map((row, i) =>
+    `${medal(i)} ${row.userId ? `<@${row.userId}>` : row.userName} - ${plural(row.count, 'song')}`);
+  const artists = summary.topArtists.map((row, i) => `${medal(i)} ${row.name} - ${plural(row.count, 'request')}`);
+  const survivors = summary.survivors.map((row, i) =>
+    `${medal(i)} *${row.trackName}* - ${row.artistName} (survived ${plural(row.count, 'vote')})`);
+  const skipped = summary.mostSkipped.map((row, i) =>
+    `${medal(i)} *${row.trackName}* - ${row.artistName} (skipped ${row.count === 1 ? 'once' : `${row.count} times`})`);
+
+  return {
+    text: `Weekly digest: ${plural(summary.addCount, 'song')} added, ${plural(summary.voteCount, 'skip vote')}`,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: '📊 This week in music' } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: `${plural(summary.addCount, 'song')} added · ${plural(summary.voteCount, 'skip vote')}` }] },
+      leaderboard('Top requesters', requesters),
+      leaderboard('Most requested artists', artists),
+      leaderboard('Survived the most skip votes', survivors),
+      leaderboard('Most skipped', skipped)
+    ]
+  };
+}
+
+module.exports = { ACTIONS, formatDuration, artistNames, searchResults, skipVote, progressBar, nowPlaying, queueList, deviceList, weeklyDigest };
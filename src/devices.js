@@ -0,0 +1,58 @@
+const spotify = require('./spotify');
+const tokens = require('./tokens');
+
+/**
+ * Spotify Connect devices
+ *
+ * A channel can store a preferred device (`channel.preferredDevice`: { id, name }).
+ * When a player call fails because no device is active, playback is transferred to
+ * that device and the call is retried once.
+ */
+
+// Give Spotify a moment to activate a device before retrying
+const TRANSFER_SETTLE_MS = 750;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const NO_DEVICE_HELP = 'No Spotify device is playing for this channel. Open Spotify on the speaker or computer you want to use, ' +
+  'or run /devices and pick one, then try again.';
+
+function isNoActiveDevice(err) {
+  return err?.reason === 'NO_ACTIVE_DEVICE';
+}
+
+function noDeviceError(message) {
+  const error = new Error(message);
+  error.reason = 'NO_ACTIVE_DEVICE';
+  return error;
+}
+
+/**
+ * Run a Spotify player call, waking the channel's preferred device if nothing is active
+ */
+async function withActiveDevice(teamId, channelId, ch, fn) {
+  try {
+    return await tokens.withAccessToken(teamId, channelId, ch, fn);
+  } catch (err) {
+    if (!isNoActiveDevice(err)) throw err;
+
+    const preferred = ch.preferredDevice;
+    if (!preferred) throw noDeviceError(NO_DEVICE_HELP);
+
+    console.log(`No active device for ${teamId}:${channelId}, transferring playback to ${preferred.name} (${preferred.id})`);
+    try {
+      await tokens.withAccessToken(teamId, channelId, ch, (accessToken) =>
+        spotify.transferPlayback(preferred.id, accessToken)
+      );
+      await sleep(TRANSFER_SETTLE_MS);
+      return await tokens.withAccessToken(teamId, channelId, ch, fn);
+    } catch (retryErr) {
+      // The preferred device is off or signed out too
+      if (retryErr.status !== 404 && !isNoActiveDevice(retryErr)) throw retryErr;
+      console.error(`Preferred device ${preferred.id} for ${teamId}:${channelId} is unavailable:`, retryErr.message);
+      throw noDeviceError(`${preferred.name}, this channel's preferred device, isn't available. ${NO_DEVICE_HELP}`);
+    }
+  }
+}
+
+module.exports = { isNoActiveDevice, withActiveDevice };
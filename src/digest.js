@@ -0,0 +1,211 @@
+const store = require('./store');
+const history = require('./history');
+const scheduler = require('./scheduler');
+
+/**
+ * Weekly channel digest (`channel.settings.digest`)
+ *
+ * - enabled: post the digest at all
+ * - day: 0 (Sunday) to 6 (Saturday), time: 'HH:MM', timezone: IANA name such as 'Europe/London'
+ *
+ * The next run is stored on the channel record (`digestScheduledFor`) and posted through
+ * the scheduler to /process-digest; a job whose time no longer matches is stale and ignored.
+ */
+
+const DEFAULT_DIGEST = {
+  enabled: true,
+  day: 5,
+  time: '16:00',
+  timezone: 'UTC'
+};
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// The digest covers the week before it is posted
+const DIGEST_PERIOD_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Entries shown in each leaderboard
+const LEADERBOARD_SIZE = 5;
+
+function getDigest(ch) {
+  return { ...DEFAULT_DIGEST, ...(ch?.settings?.digest || {}) };
+}
+
+function parseDay(text) {
+  const value = String(text || '').toLowerCase();
+  if (value.length < 3) return null;
+  const index = DAYS.findIndex(day => day.startsWith(value));
+  return index >= 0 ? index : null;
+}
+
+function parseTime(text) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(text || ''));
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Wall-clock date and time of an instant in a timezone
+function zonedParts(ms, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(new Date(ms));
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute') };
+}
+
+// Offset of a timezone from UTC at an instant, in milliseconds
+function timezoneOffset(ms, timezone) {
+  const p = zonedParts(ms, timezone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(ms / 60000) * 60000;
+}
+
+// The instant a wall-clock time happens in a timezone (DST gaps resolve to the later offset)
+function zonedTimeToUtc(year, month, day, hour, minute, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = timezoneOffset(guess, timezone);
+  const adjusted = guess - offset;
+  const actualOffset = timezoneOffset(adjusted, timezone);
+  return actualOffset === offset ? adjusted : guess - actualOffset;
+}
+
+/**
+ * Next time the digest should be posted after `fromMs`
+ */
+function nextRunAt(config, fromMs = Date.now()) {
+  const today = zonedParts(fromMs, config.timezone);
+  const [hour, minute] = config.time.split(':').map(Number);
+
+  for (let i = 0; i <= 7; i++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + i));
+    if (date.getUTCDay() !== config.day) continue;
+
+    const runAt = zonedTimeToUtc(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), hour, minute, config.timezone);
+    if (runAt > fromMs) return runAt;
+  }
+  return null;
+}
+
+function describe(config) {
+  if (!config.enabled) return 'The weekly digest is *off*.';
+  const day = DAYS[config.day];
+  return `The weekly digest is posted every *${day[0].toUpperCase()}${day.slice(1)} at ${config.time}* (${config.timezone}).`;
+}
+
+/**
+ * Schedule the channel's next digest after `afterMs`, replacing any pending one
+ * Returns the scheduled time, or null when the digest is off
+ */
+async function scheduleDigest(teamId, channelId, ch, afterMs = Date.now()) {
+  const config = getDigest(ch);
+  if (!config.enabled) {
+    await store.updateChannel(teamId, channelId, { digestScheduledFor: null });
+    ch.digestScheduledFor = null;
+    return null;
+  }
+
+  const runAt = nextRunAt(config, afterMs);
+  await store.updateChannel(teamId, channelId, { digestScheduledFor: runAt });
+  ch.digestScheduledFor = runAt;
+
+  const delaySeconds = Math.max(Math.ceil((runAt - Date.now()) / 1000), 1);
+  await scheduler.publish('/process-digest', { teamId, channelId, scheduledFor: runAt }, delaySeconds);
+  console.log(`Digest for ${teamId}:${channelId} scheduled for ${new Date(runAt).toISOString()}`);
+  return runAt;
+}
+
+/**
+ * Make sure a channel with the digest on has a pending run (e.g. channels connected
+ * before digests existed, or a job that was lost)
+ * Best-effort - a failure never fails the request itself
+ */
+async function ensureScheduled(teamId, channelId, ch) {
+  if (!getDigest(ch).enabled) return;
+  if (ch.digestScheduledFor && ch.digestScheduledFor > Date.now()) return;
+
+  try {
+    // One scheduling per channel at a time
+    const owner = await store.acquireLock(`digestSchedule:${teamId}:${channelId}`, 60 * 1000);
+    if (!owner) return;
+    await scheduleDigest(teamId, channelId, ch);
+  } catch (err) {
+    console.error(`Failed to schedule digest for ${teamId}:${channelId}:`, err.message);
+  }
+}
+
+function countBy(items, keyOf) {
+  const counts = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!key) continue;
+    const entry = counts.get(key) || { item, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Leaderboards from a channel's history entries
+ */
+function summarize(entries) {
+  const adds = entries.filter(entry => entry.type === history.EVENT_ADD);
+  const votes = entries.filter(entry => entry.type === history.EVENT_SKIP_VOTE);
+  const trackKey = (entry) => entry.trackId || entry.trackName;
+
+  const topRequesters = countBy(adds, entry => entry.userId || entry.userName)
+    .slice(0, LEADERBOARD_SIZE)
+    .map(({ item, count }) => ({ userId: item.userId, userName: item.userName, count }));
+
+  // Older entries only stored the joined artist names
+  const artists = adds.flatMap(entry => entry.artists || (entry.artistName ? [entry.artistName] : []));
+  const topArtists = countBy(artists, name => name)
+    .slice(0, LEADERBOARD_SIZE)
+    .map(({ item, count }) => ({ name: item, count }));
+
+  const survivors = countBy(votes.filter(vote => !vote.skipped), trackKey)
+    .slice(0, LEADERBOARD_SIZE)
+    .map(({ item, count }) => ({ trackName: item.trackName, artistName: item.artistName, count }));
+
+  const mostSkipped = countBy(votes.filter(vote => vote.skipped), trackKey)
+    .slice(0, LEADERBOARD_SIZE)
+    .map(({ item, count }) => ({ trackName: item.trackName, artistName: item.artistName, count }));
+
+  return { addCount: adds.length, voteCount: votes.length, topRequesters, topArtists, survivors, mostSkipped };
+}
+
+/**
+ * Summarize a channel's activity for the week ending at `toMs`
+ */
+async function buildSummary(teamId, channelId, toMs = Date.now()) {
+  const entries = await store.getHistoryRange(teamId, channelId, toMs - DIGEST_PERIOD_MS, toMs);
+  return summarize(entries);
+}
+
+module.exports = {
+  DEFAULT_DIGEST,
+  DAYS,
+  getDigest,
+  parseDay,
+  parseTime,
+  isValidTimezone,
+  nextRunAt,
+  describe,
+  scheduleDigest,
+  ensureScheduled,
+  summarize,
+  buildSummary
+};
@@ -0,0 +1,45 @@
+const store = require('./store');
+const slack = require('./slack');
+
+/**
+ * Per-channel DJ role
+ *
+ * DJs are Slack user IDs stored per channel (see store.addDj). The user who connected
+ * Spotify is always a DJ and is the one who grants and revokes the role.
+ * DJs can skip without a vote, lock the queue, and settle open skip votes.
+ */
+
+async function isDj(teamId, channelId, ch, userId) {
+  if (!userId) return false;
+  if (ch?.connectedBy === userId) return true;
+  return store.isDj(teamId, channelId, userId);
+}
+
+/**
+ * Whether a user may grant or revoke the DJ role
+ * Channels connected before `connectedBy` was recorded fall back to workspace admins
+ */
+async function canManageDjs(ch, userId, botToken) {
+  if (ch?.connectedBy) return ch.connectedBy === userId;
+  return slack.isWorkspaceAdmin(userId, botToken);
+}
+
+/**
+ * Whether a user may change the channel's settings (`/playlift config`): DJs and workspace admins
+ */
+async function canChangeSettings(teamId, channelId, ch, userId, botToken) {
+  if (await isDj(teamId, channelId, ch, userId)) return true;
+  return slack.isWorkspaceAdmin(userId, botToken);
+}
+
+/**
+ * Check whether a user may add songs while the queue is locked
+ * Returns null when allowed, otherwise { message }
+ */
+async function checkQueueLock(teamId, channelId, ch, userId) {
+  if (!ch?.queueLock) return null;
+  if (await isDj(teamId, channelId, ch, userId)) return null;
+  return { message: `🔒 The queue is locked by <@${ch.queueLock.lockedBy}> - only DJs can add songs right now.` };
+}
+
+module.exports = { isDj, canManageDjs, canChangeSettings, checkQueueLock };
@@ -0,0 +1,80 @@
+const store = require('./store');
+const spotify = require('./spotify');
+const tokens = require('./tokens');
+const settings = require('./settings');
+
+/**
+ * Duplicate and recently-played protection (see the `duplicates` section in settings.js)
+ * Tracks are compared by Spotify track ID, never by title
+ */
+
+function trackIdFromUri(uri) {
+  const match = /^spotify:track:(.+)$/.exec(uri || '');
+  return match ? match[1] : null;
+}
+
+function describeRequester(requester) {
+  if (!requester) return 'someone';
+  return requester.userId ? `<@${requester.userId}>` : (requester.userName || 'someone');
+}
+
+function describeTime(iso) {
+  const unix = Math.floor(new Date(iso).getTime() / 1000);
+  return `<!date^${unix}^{date_short_pretty} at {time}|${iso}>`;
+}
+
+/**
+ * Check a track against the channel's queue and recent requests
+ * `queue` is the Spotify queue when the caller already has it, otherwise it is fetched
+ * Returns null when allowed, otherwise { message } saying who queued it and when
+ */
+async function checkDuplicate(teamId, channelId, ch, track, queue) {
+  const rules = settings.getSection(ch, 'duplicates');
+  const trackId = track.id || trackIdFromUri(track.uri);
+  if (!trackId) return null;
+
+  if (rules.rejectQueued) {
+    // Held fair-share requests are pending too
+    const held = await store.getHeldRequests(teamId, channelId);
+    const heldMatch = held.find(request => (request.track.id || trackIdFromUri(request.track.uri)) === trackId);
+    if (heldMatch) {
+      return { message: `🔁 "${track.name}" is already waiting to be queued - ${describeRequester(heldMatch)} requested it ${describeTime(heldMatch.heldAt)}.` };
+    }
+
+    if (!queue) {
+      queue = await tokens.withAccessToken(teamId, channelId, ch, (accessToken) =>
+        spotify.getQueue(accessToken)
+      );
+    }
+    const queued = queue.find(item => item.id === trackId);
+    if (queued) {
+      const requester = await store.getTrackRequester(teamId, channelId, queued.uri);
+      const when = requester?.requestedAt ? ` ${describeTime(requester.requestedAt)}` : '';
+      return { message: `🔁 "${track.name}" is already in the queue - ${requester ? `${describeRequester(requester)} queued it${when}` : 'it was queued outside Slack'}.` };
+    }
+  }
+
+  if (rules.replayWindowHours > 0) {
+    const recent = await store.getRecentTrack(teamId, channelId, trackId);
+    const windowMs = rules.replayWindowHours * 60 * 60 * 1000;
+    if (recent && Date.now() - new Date(recent.queuedAt).getTime() < windowMs) {
+      return {
+        message: `🔁 "${track.name}" was already played recently - ${describeRequester(recent)} queued it ${describeTime(recent.queuedAt)}. ` +
+          `This channel doesn't repeat songs within ${rules.replayWindowHours} hour${rules.replayWindowHours === 1 ? '' : 's'}.`
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Remember that a track was queued, for the replay window
+ */
+async function recordQueued(teamId, channelId, track, { userId, userName }) {
+  const trackId = track.id || trackIdFromUri(track.uri);
+  if (!trackId) return;
+  await store.setRecentTrack(teamId, channelId, trackId, { userId, userName, queuedAt: new Date().toISOString() });
+}
+
+module.exports = { checkDuplicate, recordQueued, trackIdFromUri };
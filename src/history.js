@@ -0,0 +1,91 @@
+const store = require('./store');
+
+/**
+ * Per-channel request history: songs added and skip votes with their results
+ * Entries are appended to a per-channel stream (see store.appendHistory)
+ */
+
+const EVENT_ADD = 'add';
+const EVENT_SKIP_VOTE = 'skip_vote';
+
+// Column order for CSV exports
+const CSV_COLUMNS = ['at', 'type', 'userId', 'userName', 'trackId', 'trackUri', 'trackName', 'artistName', 'keepVotes', 'skipVotes', 'skipped', 'reason'];
+
+/**
+ * Record a track queued by a user
+ * History is best-effort - a failed write never fails the request itself
+ */
+async function recordAdd(teamId, channelId, track, { userId, userName }) {
+  try {
+    await store.appendHistory(teamId, channelId, {
+      type: EVENT_ADD,
+      userId,
+      userName,
+      trackId: track.id,
+      trackUri: track.uri,
+      trackName: track.name,
+      artistName: (track.artists || []).map(a => a.name).join(', '),
+      // Individual names for the weekly digest's artist leaderboard
+      artists: (track.artists || []).map(a => a.name)
+    });
+  } catch (err) {
+    console.error('Failed to record add in history:', err.message);
+  }
+}
+
+/**
+ * Record a resolved skip vote and its outcome
+ */
+async function recordSkipVote(teamId, channelId, skipVote, outcome) {
+  try {
+    await store.appendHistory(teamId, channelId, {
+      type: EVENT_SKIP_VOTE,
+      userId: skipVote.requestedById,
+      userName: skipVote.requestedBy,
+      trackId: skipVote.trackId,
+      trackUri: skipVote.trackUri,
+      trackName: skipVote.trackName,
+      artistName: skipVote.artistName,
+      keepVotes: outcome.keepCount,
+      skipVotes: outcome.skipCount,
+      skipped: outcome.skip,
+      reason: outcome.reason
+    });
+  } catch (err) {
+    console.error('Failed to record skip vote in history:', err.message);
+  }
+}
+
+/**
+ * One line per entry for the /history command
+ */
+function formatEntry(entry) {
+  const when = `<!date^${Math.floor(new Date(entry.at).getTime() / 1000)}^{date_short} {time}|${entry.at}>`;
+  const who = entry.userId ? `<@${entry.userId}>` : (entry.userName || 'someone');
+
+  if (entry.type === EVENT_ADD) {
+    return `${when} ➕ ${who} added *${entry.trackName}* - ${entry.artistName}`;
+  }
+  if (entry.type === EVENT_SKIP_VOTE) {
+    const result = entry.skipped ? '⏭️ skipped' : '🎵 kept';
+    return `${when} 🗳️ ${who} called a skip vote on *${entry.trackName}* - ${result} (👍 ${entry.keepVotes} vs 👎 ${entry.skipVotes})`;
+  }
+  return `${when} ${entry.type}`;
+}
+
+// Spreadsheets run cells starting with these as formulas (CSV injection)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  // Track names and user names come from outside - a leading ' makes them plain text
+  const text = typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries) {
+  const rows = entries.map(entry => CSV_COLUMNS.map(column => csvCell(entry[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = { EVENT_ADD, EVENT_SKIP_VOTE, recordAdd, recordSkipVote, formatEntry, toCsv };
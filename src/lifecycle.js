@@ -0,0 +1,73 @@
+const slack = require('./slack');
+const store = require('./store');
+
+/**
+ * Removing a channel's Spotify link (/disconnect), stuck votes (admin API) and a
+ * workspace's data (Slack `app_uninstalled` / `tokens_revoked` events)
+ *
+ * Each step is a separate store operation so it can be run (and checked) on its own.
+ */
+
+const DISCONNECTED_RESULT = '🔌 Vote closed: Spotify was disconnected from this channel.';
+const CLEARED_RESULT = '🧹 Vote closed by an admin - nothing changed.';
+
+// Drop the buttons from closed vote messages - best-effort
+async function closeVoteMessages(teamId, channelId, slackChannelId, closedVotes, botToken, result) {
+  for (const vote of closedVotes) {
+    try {
+      await slack.updateSkipVoteMessage(slackChannelId || channelId, vote, botToken, result);
+    } catch (err) {
+      console.error(`Failed to close vote message ${vote.messageTs} in ${teamId}:${channelId}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Unlink Spotify from a channel and close its open votes
+ * Settings, DJs and history are kept for a later /connect
+ * Returns the number of votes closed
+ */
+async function disconnectChannel(teamId, channelId, botToken) {
+  const openVotes = await store.deleteChannelSkipVotes(teamId, channelId);
+  await store.deleteHeldRequests(teamId, channelId);
+  const ch = await store.unlinkChannelSpotify(teamId, channelId);
+  await closeVoteMessages(teamId, channelId, ch?.slackChannelId, openVotes, botToken, DISCONNECTED_RESULT);
+
+  console.log(`Disconnected Spotify from ${teamId}:${channelId} (${openVotes.length} open votes closed)`);
+  return openVotes.length;
+}
+
+/**
+ * Close votes that never resolved (e.g. a lost scheduler job) without acting on them:
+ * one vote when `skipId` is given, otherwise all of the channel's open votes
+ * Returns the number of votes closed
+ */
+async function clearVotes(teamId, channelId, botToken, skipId) {
+  let closedVotes;
+  if (skipId) {
+    const vote = await store.getSkipVote(teamId, channelId, skipId);
+    if (vote) await store.deleteSkipVote(teamId, channelId, skipId);
+    closedVotes = vote ? [vote] : [];
+  } else {
+    closedVotes = await store.deleteChannelSkipVotes(teamId, channelId);
+  }
+
+  const ch = await store.getChannel(teamId, channelId);
+  await closeVoteMessages(teamId, channelId, ch?.slackChannelId, closedVotes, botToken, CLEARED_RESULT);
+
+  console.log(`Cleared ${closedVotes.length} votes in ${teamId}:${channelId}`);
+  return closedVotes.length;
+}
+
+/**
+ * Delete everything stored for a workspace: channel records and their data, then the bot token
+ * Nothing is posted to Slack - the app has lost access by the time this runs
+ */
+async function purgeTeam(teamId, reason) {
+  const deletedKeys = await store.deleteTeamChannelData(teamId);
+  await store.deleteTeamToken(teamId);
+  console.log(`Deleted data for team ${teamId} (${reason}): ${deletedKeys} channel keys`);
+  return deletedKeys;
+}
+
+module.exports = { disconnectChannel, clearVotes, purgeTeam };
@@ -0,0 +1,54 @@
+const store = require('./store');
+const settings = require('./settings');
+
+/**
+ * Per-user request quotas and fair-share rules (see the `quota` section in settings.js)
+ */
+
+/**
+ * Check whether a user may add another song to a channel
+ * Returns null when allowed, otherwise { message } explaining when they can add again
+ */
+async function checkQuota(teamId, channelId, ch, userId) {
+  const quota = settings.getSection(ch, 'quota');
+  if (!quota.perUser || !userId) return null;
+
+  const windowMs = quota.windowMinutes * 60 * 1000;
+  const times = await store.getUserRequestTimes(teamId, channelId, userId, Date.now() - windowMs);
+  if (times.length < quota.perUser) return null;
+
+  // The oldest request in the window has to age out before another is allowed
+  const retryAt = times[times.length - quota.perUser] + windowMs;
+  const unix = Math.floor(retryAt / 1000);
+  return {
+    retryAt,
+    message: `⏳ You've added ${times.length} song${times.length === 1 ? '' : 's'} in the last ${quota.windowMinutes} minutes (limit ${quota.perUser}). ` +
+      `You can add another <!date^${unix}^{time}|at ${new Date(retryAt).toISOString()}>.`
+  };
+}
+
+/**
+ * Count an accepted request (queued or held) against the user's quota
+ */
+async function recordRequest(teamId, channelId, ch, userId) {
+  const quota = settings.getSection(ch, 'quota');
+  if (!quota.perUser || !userId) return;
+  await store.recordUserRequest(teamId, channelId, userId, quota.windowMinutes * 60);
+}
+
+/**
+ * Fair share: hold a user's request while they still have a track waiting in the
+ * queue and someone else is also waiting (queued or held)
+ *
+ * `upcomingUserIds` are the requesters of the tracks still in the Spotify queue
+ */
+function shouldHold(userId, upcomingUserIds, heldRequests) {
+  // Keep a user's own requests in order
+  if (heldRequests.some(request => request.userId === userId)) return true;
+  if (!upcomingUserIds.includes(userId)) return false;
+
+  return upcomingUserIds.some(id => id && id !== userId) ||
+    heldRequests.some(request => request.userId !== userId);
+}
+
+module.exports = { checkQuota, recordRequest, shouldHold };
@@ -0,0 +1,457 @@
+const { SKIP_VOTE_TTL, TRACK_REQUESTER_TTL, RECENT_TRACK_TTL, HISTORY_MAX_LENGTH } = require('./retention');
+
+/**
+ * In-memory store with the same operations and expiry rules as the Redis store (see store.js)
+ *
+ * Records use the Redis key layout (see redis.js) and expire the same way: a key set
+ * with a TTL disappears once it passes, and collections keep their TTL when they change.
+ * Objects are stored as JSON so callers never share a reference with the store.
+ *
+ * Everything is lost when the process exits - for local development and tests only.
+ */
+
+// How often expired keys are swept (reads also skip them)
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createMemoryStore() {
+  // key -> { value, expiresAt } - values are JSON strings, Sets, Maps or arrays
+  const entries = new Map();
+
+  function read(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  function write(key, value, ttlSeconds) {
+    entries.set(key, { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null });
+  }
+
+  // Get a Set, Map or array, creating it without a TTL when missing
+  function collection(key, create) {
+    let value = read(key);
+    if (value === undefined) {
+      value = create();
+      write(key, value);
+    }
+    return value;
+  }
+
+  function expire(key, ttlSeconds) {
+    if (read(key) !== undefined) {
+      entries.get(key).expiresAt = Date.now() + ttlSeconds * 1000;
+    }
+  }
+
+  // Returns the number of keys that existed
+  function remove(...keys) {
+    let count = 0;
+    for (const key of keys) {
+      if (read(key) !== undefined) count++;
+      entries.delete(key);
+    }
+    return count;
+  }
+
+  // Redis drops empty sets, hashes and lists
+  function dropIfEmpty(key) {
+    const value = read(key);
+    if (value !== undefined && typeof value !== 'string' && (value.size ?? value.length) === 0) {
+      entries.delete(key);
+    }
+  }
+
+  function getJson(key) {
+    const value = read(key);
+    return value === undefined ? null : JSON.parse(value);
+  }
+
+  function members(key) {
+    return Array.from(read(key) || []);
+  }
+
+  function keysWithPrefix(prefix) {
+    return Array.from(entries.keys()).filter(key => key.startsWith(prefix) && read(key) !== undefined);
+  }
+
+  function sweep() {
+    for (const key of entries.keys()) read(key);
+  }
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  // One vote per user - a new vote replaces the old one and refreshes the TTL
+  function castVote(teamId, skipId, userId, from, to) {
+    const fromKey = `skipVoteUsers:${teamId}:${skipId}:${from}`;
+    const toKey = `skipVoteUsers:${teamId}:${skipId}:${to}`;
+    read(fromKey)?.delete(userId);
+    dropIfEmpty(fromKey);
+    collection(toKey, () => new Set()).add(userId);
+    expire(toKey, SKIP_VOTE_TTL);
+  }
+
+  // History entry ids follow Redis stream ids: {ms}-{sequence}
+  let lastHistoryMs = 0;
+  let historySequence = 0;
+  function nextHistoryId() {
+    const now = Date.now();
+    historySequence = now === lastHistoryMs ? historySequence + 1 : 0;
+    lastHistoryMs = now;
+    return `${now}-${historySequence}`;
+  }
+
+  function historyEntry({ id, data }) {
+    return { id, at: new Date(Number(id.split('-')[0])).toISOString(), ...JSON.parse(data) };
+  }
+
+  return {
+    name: 'memory',
+
+    // Channel operations
+    async getChannel(teamId, channelId) {
+      return getJson(`channel:${teamId}:${channelId}`);
+    },
+
+    async setChannel(teamId, channelId, data) {
+      write(`channel:${teamId}:${channelId}`, JSON.stringify(data));
+      write(`channelTeam:${channelId}`, teamId);
+    },
+
+    async updateChannel(teamId, channelId, updates) {
+      const channel = await this.getChannel(teamId, channelId) || { slackChannelId: channelId };
+      const updated = { ...channel, ...updates };
+      await this.setChannel(teamId, channelId, updated);
+      return updated;
+    },
+
+    async updateChannelSettings(teamId, channelId, section, updates) {
+      const channel = await this.getChannel(teamId, channelId) || { slackChannelId: channelId };
+      const settings = channel.settings || {};
+      const updated = {
+        ...channel,
+        settings: { ...settings, [section]: { ...(settings[section] || {}), ...updates } }
+      };
+      await this.setChannel(teamId, channelId, updated);
+      return updated;
+    },
+
+    // Skip vote operations
+    async getSkipVote(teamId, channelId, skipId) {
+      const vote = getJson(`skipVote:${teamId}:${channelId}:${skipId}`);
+      if (!vote) return null;
+
+      return {
+        ...vote,
+        thumbsUpUsers: new Set(members(`skipVoteUsers:${teamId}:${skipId}:thumbsUp`)),
+        thumbsDownUsers: new Set(members(`skipVoteUsers:${teamId}:${skipId}:thumbsDown`))
+      };
+    },
+
+    async setSkipVote(teamId, channelId, skipId, vote) {
+      const { thumbsUpUsers, thumbsDownUsers, ...voteData } = vote;
+      write(`skipVote:${teamId}:${channelId}:${skipId}`, JSON.stringify(voteData), SKIP_VOTE_TTL);
+
+      if (voteData.messageTs) {
+        collection(`skipVoteIndex:${teamId}:${channelId}`, () => new Map()).set(voteData.messageTs, skipId);
+        expire(`skipVoteIndex:${teamId}:${channelId}`, SKIP_VOTE_TTL);
+      }
+
+      for (const [side, users] of [['thumbsUp', thumbsUpUsers], ['thumbsDown', thumbsDownUsers]]) {
+        if (users && users.size > 0) {
+          const key = `skipVoteUsers:${teamId}:${skipId}:${side}`;
+          const set = collection(key, () => new Set());
+          users.forEach(userId => set.add(userId));
+          expire(key, SKIP_VOTE_TTL);
+        }
+      }
+    },
+
+    async addThumbsUp(teamId, skipId, userId) {
+      castVote(teamId, skipId, userId, 'thumbsDown', 'thumbsUp');
+    },
+
+    async addThumbsDown(teamId, skipId, userId) {
+      castVote(teamId, skipId, userId, 'thumbsUp', 'thumbsDown');
+    },
+
+    async removeThumbsUp(teamId, skipId, userId) {
+      read(`skipVoteUsers:${teamId}:${skipId}:thumbsUp`)?.delete(userId);
+      dropIfEmpty(`skipVoteUsers:${teamId}:${skipId}:thumbsUp`);
+    },
+
+    async removeThumbsDown(teamId, skipId, userId) {
+      read(`skipVoteUsers:${teamId}:${skipId}:thumbsDown`)?.delete(userId);
+      dropIfEmpty(`skipVoteUsers:${teamId}:${skipId}:thumbsDown`);
+    },
+
+    async deleteSkipVote(teamId, channelId, skipId) {
+      const vote = getJson(`skipVote:${teamId}:${channelId}:${skipId}`);
+      if (vote?.messageTs) {
+        read(`skipVoteIndex:${teamId}:${channelId}`)?.delete(vote.messageTs);
+        dropIfEmpty(`skipVoteIndex:${teamId}:${channelId}`);
+      }
+      remove(
+        `skipVote:${teamId}:${channelId}:${skipId}`,
+        `skipVoteUsers:${teamId}:${skipId}:thumbsUp`,
+        `skipVoteUsers:${teamId}:${skipId}:thumbsDown`
+      );
+    },
+
+    async findSkipVoteByMessageTs(teamId, channelId, messageTs) {
+      const index = read(`skipVoteIndex:${teamId}:${channelId}`);
+      const skipId = index?.get(messageTs);
+      if (!skipId) return null;
+
+      const vote = await this.getSkipVote(teamId, channelId, skipId);
+      if (!vote) {
+        index.delete(messageTs);
+        dropIfEmpty(`skipVoteIndex:${teamId}:${channelId}`);
+        return null;
+      }
+      return vote;
+    },
+
+    async getChannelSkipVoteIds(teamId, channelId) {
+      return Array.from(read(`skipVoteIndex:${teamId}:${channelId}`)?.values() || []);
+    },
+
+    // Lifecycle cleanup (/disconnect, app_uninstalled, tokens_revoked)
+    async unlinkChannelSpotify(teamId, channelId) {
+      const channel = await this.getChannel(teamId, channelId);
+      if (!channel) return null;
+      const { spotify, connectedBy, connectedAt, playlist, preferredDevice, queueLock, digestScheduledFor, ...rest } = channel;
+      await this.setChannel(teamId, channelId, rest);
+      return rest;
+    },
+
+    async deleteChannelSkipVotes(teamId, channelId) {
+      const votes = [];
+      for (const skipId of await this.getChannelSkipVoteIds(teamId, channelId)) {
+        const vote = await this.getSkipVote(teamId, channelId, skipId);
+        if (vote) votes.push(vote);
+        await this.deleteSkipVote(teamId, channelId, skipId);
+      }
+      remove(`skipVoteIndex:${teamId}:${channelId}`);
+      return votes;
+    },
+
+    async deleteHeldRequests(teamId, channelId) {
+      remove(`heldRequests:${teamId}:${channelId}`);
+    },
+
+    async getTeamChannelIds(teamId) {
+      return keysWithPrefix(`channel:${teamId}:`).map(key => key.split(':')[2]);
+    },
+
+    async deleteTeamChannelData(teamId) {
+      const channelIds = await this.getTeamChannelIds(teamId);
+      const prefixes = [
+        'channel', 'skipVote', 'skipVoteUsers', 'skipVoteIndex', 'trackRequester', 'history',
+        'userRequests', 'heldRequests', 'recentTrack', 'djs'
+      ];
+      const keys = prefixes.flatMap(prefix => keysWithPrefix(`${prefix}:${teamId}:`));
+
+      // Only drop mappings that still point at this team
+      for (const channelId of channelIds) {
+        if (read(`channelTeam:${channelId}`) === teamId) {
+          keys.push(`channelTeam:${channelId}`);
+        }
+      }
+      return remove(...keys);
+    },
+
+    async deleteTeamToken(teamId) {
+      remove(`team:${teamId}`);
+    },
+
+    // Admin operations (see admin.js)
+    async getTeamIds() {
+      const teamIds = new Set(keysWithPrefix('team:').map(key => key.split(':')[1]));
+      keysWithPrefix('channel:').forEach(key => teamIds.add(key.split(':')[1]));
+      return Array.from(teamIds);
+    },
+
+    async getTeams(teamIds) {
+      return teamIds.map(teamId => getJson(`team:${teamId}`));
+    },
+
+    async getChannels(teamId, channelIds) {
+      return channelIds.map(channelId => getJson(`channel:${teamId}:${channelId}`));
+    },
+
+    // Team token operations (for Slack OAuth)
+    async storeTeamToken(teamId, tokenData) {
+      write(`team:${teamId}`, JSON.stringify(tokenData));
+    },
+
+    async getTeamToken(teamId) {
+      return getJson(`team:${teamId}`);
+    },
+
+    async getTeamByChannelId(channelId) {
+      return read(`channelTeam:${channelId}`) ?? null;
+    },
+
+    async setChannelTeam(channelId, teamId) {
+      write(`channelTeam:${channelId}`, teamId);
+    },
+
+    async getChannelTeam(channelId) {
+      return read(`channelTeam:${channelId}`) ?? null;
+    },
+
+    // Replay protection for signed Slack requests - returns false if already seen
+    async markRequestSeen(signature, ttlSeconds) {
+      if (read(`seenRequest:${signature}`) !== undefined) return false;
+      write(`seenRequest:${signature}`, '1', ttlSeconds);
+      return true;
+    },
+
+    // Drop a replay marker so a later retry of the request is handled again
+    async forgetRequestSeen(signature) {
+      remove(`seenRequest:${signature}`);
+    },
+
+    // Short-lived locks - returns an owner token, or null if already held
+    async acquireLock(name, ttlMs) {
+      if (read(`lock:${name}`) !== undefined) return null;
+      const owner = `${Date.now()}:${Math.random().toString(36).slice(2)}`;
+      write(`lock:${name}`, owner, ttlMs / 1000);
+      return owner;
+    },
+
+    async releaseLock(name, owner) {
+      if (read(`lock:${name}`) === owner) {
+        remove(`lock:${name}`);
+      }
+    },
+
+    // Track requester operations (who queued a track through /add-song)
+    async setTrackRequester(teamId, channelId, trackUri, requester) {
+      write(`trackRequester:${teamId}:${channelId}:${trackUri}`, JSON.stringify(requester), TRACK_REQUESTER_TTL);
+    },
+
+    async getTrackRequester(teamId, channelId, trackUri) {
+      return getJson(`trackRequester:${teamId}:${channelId}:${trackUri}`);
+    },
+
+    async getTrackRequesters(teamId, channelId, trackUris) {
+      const requesters = {};
+      for (const uri of trackUris) {
+        const requester = getJson(`trackRequester:${teamId}:${channelId}:${uri}`);
+        if (requester) requesters[uri] = requester;
+      }
+      return requesters;
+    },
+
+    // Request history operations (append-only per channel, capped)
+    async appendHistory(teamId, channelId, entry) {
+      const history = collection(`history:${teamId}:${channelId}`, () => []);
+      const id = nextHistoryId();
+      history.push({ id, data: JSON.stringify(entry) });
+      if (history.length > HISTORY_MAX_LENGTH) {
+        history.splice(0, history.length - HISTORY_MAX_LENGTH);
+      }
+      return id;
+    },
+
+    // Entries between two timestamps (ms), oldest first
+    async getHistoryRange(teamId, channelId, fromMs, toMs) {
+      const history = read(`history:${teamId}:${channelId}`) || [];
+      return history
+        .filter(({ id }) => {
+          const ms = Number(id.split('-')[0]);
+          return (fromMs === undefined || ms >= fromMs) && (toMs === undefined || ms <= toMs);
+        })
+        .map(historyEntry);
+    },
+
+    // Most recent entries, newest first
+    async getRecentHistory(teamId, channelId, count) {
+      const history = read(`history:${teamId}:${channelId}`) || [];
+      return history.slice(-count).reverse().map(historyEntry);
+    },
+
+    // Quota operations - request timestamps per user within a rolling window
+    async recordUserRequest(teamId, channelId, userId, windowSeconds) {
+      const key = `userRequests:${teamId}:${channelId}:${userId}`;
+      const now = Date.now();
+      const times = collection(key, () => []);
+      const kept = times.filter(time => time > now - windowSeconds * 1000);
+      times.splice(0, times.length, ...kept, now);
+      expire(key, windowSeconds);
+    },
+
+    async getUserRequestTimes(teamId, channelId, userId, sinceMs) {
+      const times = read(`userRequests:${teamId}:${channelId}:${userId}`) || [];
+      return times.filter(time => time >= sinceMs);
+    },
+
+    // Fair-share held requests (FIFO)
+    async pushHeldRequest(teamId, channelId, request) {
+      collection(`heldRequests:${teamId}:${channelId}`, () => []).push(JSON.stringify(request));
+    },
+
+    async getHeldRequests(teamId, channelId) {
+      return (read(`heldRequests:${teamId}:${channelId}`) || []).map(value => JSON.parse(value));
+    },
+
+    async removeHeldRequest(teamId, channelId, requestId) {
+      const key = `heldRequests:${teamId}:${channelId}`;
+      const held = read(key) || [];
+      const index = held.findIndex(value => JSON.parse(value).id === requestId);
+      if (index >= 0) {
+        held.splice(index, 1);
+        dropIfEmpty(key);
+      }
+    },
+
+    // Recently-queued tracks (duplicate/replay protection), keyed by Spotify track ID
+    async setRecentTrack(teamId, channelId, trackId, data) {
+      write(`recentTrack:${teamId}:${channelId}:${trackId}`, JSON.stringify(data), RECENT_TRACK_TTL);
+    },
+
+    async getRecentTrack(teamId, channelId, trackId) {
+      return getJson(`recentTrack:${teamId}:${channelId}:${trackId}`);
+    },
+
+    // DJ role (Slack user IDs) per channel
+    async addDj(teamId, channelId, userId) {
+      const djs = collection(`djs:${teamId}:${channelId}`, () => new Set());
+      if (djs.has(userId)) return false;
+      djs.add(userId);
+      return true;
+    },
+
+    async removeDj(teamId, channelId, userId) {
+      const removed = !!read(`djs:${teamId}:${channelId}`)?.delete(userId);
+      dropIfEmpty(`djs:${teamId}:${channelId}`);
+      return removed;
+    },
+
+    async getDjs(teamId, channelId) {
+      return members(`djs:${teamId}:${channelId}`);
+    },
+
+    async isDj(teamId, channelId, userId) {
+      return !!read(`djs:${teamId}:${channelId}`)?.has(userId);
+    },
+
+    // OAuth state operations (Spotify connect flow)
+    async setOAuthState(nonce, data, ttlSeconds) {
+      write(`oauthState:${nonce}`, JSON.stringify(data), ttlSeconds);
+    },
+
+    // Read and delete in one step so a state can only be used once
+    async consumeOAuthState(nonce) {
+      const state = getJson(`oauthState:${nonce}`);
+      remove(`oauthState:${nonce}`);
+      return state;
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
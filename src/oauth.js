@@ -77,10 +77,12 @@ function getInstallUrl(state = '') {
     'chat:write',
     'commands',
     'reactions:read',
+    'reactions:write',
     'groups:read',
     'groups:history',
     'im:history',
-    'mpim:history'
+    'mpim:history',
+    'users:read'
   ].join(',');
 
   const params = new URLSearchParams({
@@ -0,0 +1,86 @@
+const spotify = require('./spotify');
+const devices = require('./devices');
+
+/**
+ * Playback actions that can be run directly or put to a vote
+ *
+ * Votes are always "keep things as they are" (👍) against "make the change" (👎),
+ * so the /skip vote flow works unchanged for every action. The labels are used on the
+ * vote message and its DJ menu (see blocks.skipVote).
+ */
+
+const PLAYBACK_ACTIONS = {
+  skip: {
+    emoji: '⏭️',
+    title: () => 'Skip',
+    keepLabel: '👍 Keep',
+    changeLabel: '👎 Skip',
+    verb: 'skip',
+    djChange: 'skip now',
+    djKeep: 'keep playing',
+    done: () => 'skipped the song',
+    run: (accessToken) => spotify.skipTrack(accessToken)
+  },
+  pause: {
+    emoji: '⏸️',
+    title: () => 'Pause',
+    keepLabel: '👍 Keep playing',
+    changeLabel: '👎 Pause',
+    verb: 'pause',
+    djChange: 'pause now',
+    djKeep: 'keep playing',
+    done: () => 'paused playback',
+    run: (accessToken) => spotify.pausePlayback(accessToken)
+  },
+  resume: {
+    emoji: '▶️',
+    title: () => 'Resume',
+    keepLabel: '👍 Stay paused',
+    changeLabel: '👎 Resume',
+    verb: 'resume',
+    djChange: 'resume now',
+    djKeep: 'stay paused',
+    done: () => 'resumed playback',
+    run: (accessToken) => spotify.resumePlayback(accessToken)
+  },
+  previous: {
+    emoji: '⏮️',
+    title: () => 'Previous track',
+    keepLabel: '👍 Keep this song',
+    changeLabel: '👎 Go back',
+    verb: 'go back',
+    djChange: 'go back now',
+    djKeep: 'keep this song',
+    done: () => 'went back to the previous track',
+    run: (accessToken) => spotify.previousTrack(accessToken)
+  },
+  volume: {
+    emoji: '🔊',
+    title: (vote) => `Volume ${vote.volumePercent}%`,
+    keepLabel: '👍 Keep the volume',
+    changeLabel: '👎 Change it',
+    verb: 'change the volume',
+    djChange: 'change it now',
+    djKeep: 'keep the volume',
+    done: (vote) => `set the volume to ${vote.volumePercent}%`,
+    run: (accessToken, vote) => spotify.setVolume(vote.volumePercent, accessToken)
+  }
+};
+
+// Votes created before actions existed are skip votes
+function getAction(vote) {
+  return PLAYBACK_ACTIONS[vote?.action] || PLAYBACK_ACTIONS.skip;
+}
+
+/**
+ * Run an action against the channel's Spotify player, waking the preferred device if needed
+ * `request` carries the action name and its arguments (e.g. volumePercent)
+ */
+async function perform(teamId, channelId, ch, request) {
+  const action = getAction(request);
+  return devices.withActiveDevice(teamId, channelId, ch, (accessToken) =>
+    action.run(accessToken, request)
+  );
+}
+
+module.exports = { PLAYBACK_ACTIONS, getAction, perform };
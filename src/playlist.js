@@ -0,0 +1,109 @@
+const spotify = require('./spotify');
+const tokens = require('./tokens');
+const store = require('./store');
+const settings = require('./settings');
+const scheduler = require('./scheduler');
+
+/**
+ * Shared channel playlist (`channel.playlist`, see the `playlist` section in settings.js)
+ * Every queued track is appended to a private Spotify playlist owned by the connected account,
+ * which is created the first time it is needed. Tracks are appended by a scheduler job
+ * (/process-mirror), so creating the playlist never holds up a reply to Slack.
+ */
+
+// How long the creation lock is held, and how long other requests wait for it
+const CREATE_LOCK_TTL_MS = 10 * 1000;
+const CREATE_WAIT_MS = 5 * 1000;
+const CREATE_POLL_MS = 250;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function playlistName(ch) {
+  return ch.channelName ? `Playlift - #${ch.channelName}` : 'Playlift';
+}
+
+async function createChannelPlaylist(teamId, channelId, ch) {
+  const lockName = `playlistCreate:${teamId}:${channelId}`;
+  const owner = await store.acquireLock(lockName, CREATE_LOCK_TTL_MS);
+
+  if (!owner) {
+    // Another request is creating it - wait for it to be saved
+    const deadline = Date.now() + CREATE_WAIT_MS;
+    while (Date.now() < deadline) {
+      await sleep(CREATE_POLL_MS);
+      const current = await store.getChannel(teamId, channelId);
+      if (current?.playlist) return current.playlist;
+    }
+    throw new Error('Timed out waiting for the channel playlist to be created');
+  }
+
+  try {
+    // Re-read in case it was created between our read and the lock
+    const current = await store.getChannel(teamId, channelId);
+    if (current?.playlist) return current.playlist;
+
+    const created = await tokens.withAccessToken(teamId, channelId, ch, async (accessToken) => {
+      const userId = await spotify.getCurrentUserId(accessToken);
+      return spotify.createPlaylist(userId, playlistName(ch), 'Songs requested in Slack with Playlift', accessToken);
+    });
+
+    const record = { ...created, createdAt: new Date().toISOString() };
+    await store.updateChannel(teamId, channelId, { playlist: record });
+    console.log(`Created playlist ${record.id} for ${teamId}:${channelId}`);
+    return record;
+  } finally {
+    await store.releaseLock(lockName, owner);
+  }
+}
+
+/**
+ * Get the channel's playlist, creating it on first use
+ */
+async function ensurePlaylist(teamId, channelId, ch) {
+  if (!ch.playlist) {
+    ch.playlist = await createChannelPlaylist(teamId, channelId, ch);
+  }
+  return ch.playlist;
+}
+
+/**
+ * Append a queued track to the channel's playlist when mirroring is on
+ * Mirroring is best-effort - a failure never fails the request itself
+ */
+async function mirrorTrack(teamId, channelId, ch, track) {
+  if (!settings.getSection(ch, 'playlist').mirror) return;
+
+  try {
+    const playlist = await ensurePlaylist(teamId, channelId, ch);
+    await tokens.withAccessToken(teamId, channelId, ch, (accessToken) =>
+      spotify.addTracksToPlaylist(playlist.id, [track.uri], accessToken)
+    );
+  } catch (err) {
+    console.error(`Failed to add "${track.name}" to the playlist for ${teamId}:${channelId}:`, err.message);
+  }
+}
+
+/**
+ * Schedule mirrorTrack for a queued track when mirroring is on - best-effort like mirrorTrack
+ */
+async function scheduleMirror(teamId, channelId, ch, track) {
+  if (!settings.getSection(ch, 'playlist').mirror) return;
+
+  try {
+    await scheduler.publish('/process-mirror', { teamId, channelId, track: { uri: track.uri, name: track.name } }, 0);
+  } catch (err) {
+    console.error(`Failed to schedule adding "${track.name}" to the playlist for ${teamId}:${channelId}:`, err.message);
+  }
+}
+
+/**
+ * User-facing explanation for a failed playlist call
+ */
+function describeError(err) {
+  if (err.status === 401 || err.status === 403) {
+    return '❌ Spotify did not allow access to playlists. Run /connect again to grant playlist access.';
+  }
+  return `❌ Failed to get the channel playlist: ${err.message}`;
+}
+
+module.exports = { ensurePlaylist, mirrorTrack, scheduleMirror, describeError };
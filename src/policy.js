@@ -0,0 +1,63 @@
+/**
+ * Per-channel content policy (`channel.settings.contentPolicy`)
+ *
+ * - blockExplicit: reject tracks Spotify marks as explicit
+ * - maxDurationMinutes: reject tracks longer than this (0 = no cap)
+ * - blockedArtists / blockedTracks: [{ id, name }] matched by Spotify ID
+ */
+
+const DEFAULT_POLICY = {
+  blockExplicit: false,
+  maxDurationMinutes: 0,
+  blockedArtists: [],
+  blockedTracks: []
+};
+
+function getPolicy(ch) {
+  return { ...DEFAULT_POLICY, ...(ch?.settings?.contentPolicy || {}) };
+}
+
+/**
+ * Check a track against the policy
+ * Returns null when allowed, otherwise { rule, message } naming the rule that blocked it
+ */
+function checkTrack(policy, track) {
+  const blockedTrack = policy.blockedTracks.find(t => t.id === track.id);
+  if (blockedTrack) {
+    return { rule: 'blocked-track', message: `🚫 "${track.name}" is on this channel's track blocklist.` };
+  }
+
+  const artists = track.artists || [];
+  const blockedArtist = policy.blockedArtists.find(blocked =>
+    artists.some(a => a.id === blocked.id)
+  );
+  if (blockedArtist) {
+    return { rule: 'blocked-artist', message: `🚫 "${track.name}" is by ${blockedArtist.name}, who is on this channel's artist blocklist.` };
+  }
+
+  if (policy.blockExplicit && track.explicit) {
+    return { rule: 'explicit', message: `🚫 "${track.name}" is marked explicit, and this channel doesn't allow explicit tracks.` };
+  }
+
+  if (policy.maxDurationMinutes > 0 && track.durationMs > policy.maxDurationMinutes * 60 * 1000) {
+    const minutes = Math.round(track.durationMs / 6000) / 10;
+    return { rule: 'max-length', message: `🚫 "${track.name}" is ${minutes} minutes long, over this channel's limit of ${policy.maxDurationMinutes} minutes.` };
+  }
+
+  return null;
+}
+
+/**
+ * Human-readable summary for `/playlift policy`
+ */
+function describe(policy) {
+  const names = (items) => items.length ? items.map(item => item.name).join(', ') : '_none_';
+  return [
+    `• Explicit tracks: *${policy.blockExplicit ? 'blocked' : 'allowed'}*`,
+    `• Maximum length: *${policy.maxDurationMinutes ? `${policy.maxDurationMinutes} minutes` : 'no limit'}*`,
+    `• Blocked artists: ${names(policy.blockedArtists)}`,
+    `• Blocked tracks: ${names(policy.blockedTracks)}`
+  ].join('\n');
+}
+
+module.exports = { DEFAULT_POLICY, getPolicy, checkTrack, describe };
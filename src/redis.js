@@ -1,13 +1,29 @@
 const Redis = require('ioredis');
+const { SKIP_VOTE_TTL, TRACK_REQUESTER_TTL, RECENT_TRACK_TTL, HISTORY_MAX_LENGTH } = require('./retention');
 
 /**
- * Redis-backed store for channel data, Spotify tokens, and skip votes
+ * Redis-backed store for channel data, Spotify tokens, and skip votes (see store.js)
+ * The client is created on first use, so requiring this module doesn't connect
  *
  * Keys:
- * - channel:{channelId} -> { slackChannelId, spotify: {...}, queue: [...] }
+ * - channel:{channelId} -> { slackChannelId, spotify: {...}, settings: {...}, queue: [...] }
  * - skipVote:{channelId}:{skipId} -> { id, trackName, artistName, ... }
  * - skipVoteUsers:{skipId}:thumbsUp -> Set of user IDs
  * - skipVoteUsers:{skipId}:thumbsDown -> Set of user IDs
+ * - seenRequest:{signature} -> marker for replay protection (expires)
+ * - lock:{name} -> owner token for short-lived locks (expires)
+ * - oauthState:{nonce} -> { teamId, channelId, userId, ... } for Spotify OAuth (expires, single use)
+ * - trackRequester:{teamId}:{channelId}:{trackUri} -> { userId, userName, requestedAt } (expires)
+ * - history:{teamId}:{channelId} -> Stream of { data: JSON } entries (adds, skip votes), capped
+ * - userRequests:{teamId}:{channelId}:{userId} -> Sorted set of request timestamps (quota window)
+ * - heldRequests:{teamId}:{channelId} -> List of requests held back by fair-share mode
+ * - recentTrack:{teamId}:{channelId}:{trackId} -> { userId, userName, queuedAt } (expires)
+ * - djs:{teamId}:{channelId} -> Set of Slack user IDs with the DJ role
+ *
+ * Indexes (kept up to date by the functions below, backfilled by backfillIndexes):
+ * - teams -> Set of team IDs that installed the app or connected a channel
+ * - teamChannels:{teamId} -> Set of the team's channel IDs
+ * - skipVoteIndex:{teamId}:{channelId} -> Hash of vote messageTs -> skipId for the channel's open votes
  */
 
 // Initialize Redis client with serverless-safe singleton pattern
@@ -47,12 +63,15 @@ function createRedisClient() {
   return client;
 }
 
-const redisClient = createRedisClient();
-
+let redisClient = null;
 let connectionPromise = null;
 
 // Ensure connection is established before any operation
 async function ensureConnection() {
+  if (!redisClient) {
+    redisClient = createRedisClient();
+  }
+
   if (redisClient.status === 'ready') {
     return;
   }
@@ -74,11 +93,51 @@ const SKIP_VOTE_PREFIX = 'skipVote:';
 const SKIP_VOTE_USERS_PREFIX = 'skipVoteUsers:';
 const TEAM_PREFIX = 'team:';
 const CHANNEL_TEAM_PREFIX = 'channelTeam:';
+const SEEN_REQUEST_PREFIX = 'seenRequest:';
+const LOCK_PREFIX = 'lock:';
+const OAUTH_STATE_PREFIX = 'oauthState:';
+const TRACK_REQUESTER_PREFIX = 'trackRequester:';
+const HISTORY_PREFIX = 'history:';
+const USER_REQUESTS_PREFIX = 'userRequests:';
+const HELD_REQUESTS_PREFIX = 'heldRequests:';
+const RECENT_TRACK_PREFIX = 'recentTrack:';
+const DJS_PREFIX = 'djs:';
+const TEAMS_KEY = 'teams';
+const TEAM_CHANNELS_PREFIX = 'teamChannels:';
+const SKIP_VOTE_INDEX_PREFIX = 'skipVoteIndex:';
+
+// Keys fetched per SCAN round-trip (cleanup and backfill only - never on a request path)
+const SCAN_COUNT = 500;
+
+// Only delete a lock if we still own it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+// Stream entries come back as [id, [field, value, ...]] - the id starts with the ms timestamp
+function parseHistoryEntry([id, fields]) {
+  const dataIndex = fields.indexOf('data');
+  const data = dataIndex >= 0 ? JSON.parse(fields[dataIndex + 1]) : {};
+  return { id, at: new Date(Number(id.split('-')[0])).toISOString(), ...data };
+}
 
-// TTL for skip votes (15 minutes)
-const SKIP_VOTE_TTL = 60 * 15;
+// Iterate keys matching a pattern without blocking Redis the way KEYS does
+async function scanKeys(pattern) {
+  const keys = [];
+  let cursor = '0';
+  do {
+    const [next, batch] = await redisClient.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT);
+    keys.push(...batch);
+    cursor = next;
+  } while (cursor !== '0');
+  return keys;
+}
 
 const redis = {
+  name: 'redis',
+
   // Channel operations (now scoped by teamId)
   async getChannel(teamId, channelId) {
     await ensureConnection();
@@ -88,9 +147,14 @@ const redis = {
 
   async setChannel(teamId, channelId, data) {
     await ensureConnection();
-    await redisClient.set(`${CHANNEL_PREFIX}${teamId}:${channelId}`, JSON.stringify(data));
-    // Also maintain the channel-to-team mapping for reverse lookups
-    await redisClient.set(`${CHANNEL_TEAM_PREFIX}${channelId}`, teamId);
+    await redisClient.multi()
+      .set(`${CHANNEL_PREFIX}${teamId}:${channelId}`, JSON.stringify(data))
+      // Also maintain the channel-to-team mapping for reverse lookups
+      .set(`${CHANNEL_TEAM_PREFIX}${channelId}`, teamId)
+      // And the indexes used to list channels
+      .sadd(`${TEAM_CHANNELS_PREFIX}${teamId}`, channelId)
+      .sadd(TEAMS_KEY, teamId)
+      .exec();
   },
 
   async updateChannel(teamId, channelId, updates) {
@@ -100,17 +164,32 @@ const redis = {
     return updated;
   },
 
+  // Merge updates into one section of the channel's settings (see settings.js)
+  async updateChannelSettings(teamId, channelId, section, updates) {
+    const channel = await this.getChannel(teamId, channelId) || { slackChannelId: channelId };
+    const settings = channel.settings || {};
+    const updated = {
+      ...channel,
+      settings: { ...settings, [section]: { ...(settings[section] || {}), ...updates } }
+    };
+    await this.setChannel(teamId, channelId, updated);
+    return updated;
+  },
+
   // Skip vote operations (now scoped by teamId)
   async getSkipVote(teamId, channelId, skipId) {
     await ensureConnection();
-    const value = await redisClient.get(`${SKIP_VOTE_PREFIX}${teamId}:${channelId}:${skipId}`);
+    // The vote and its vote sets in one round-trip (skipId is globally unique with timestamp)
+    const [[, value], [, thumbsUp], [, thumbsDown]] = await redisClient.pipeline()
+      .get(`${SKIP_VOTE_PREFIX}${teamId}:${channelId}:${skipId}`)
+      .smembers(`${SKIP_VOTE_USERS_PREFIX}${teamId}:${skipId}:thumbsUp`)
+      .smembers(`${SKIP_VOTE_USERS_PREFIX}${teamId}:${skipId}:thumbsDown`)
+      .exec();
     if (!value) return null;
 
     const vote = JSON.parse(value);
-
-    // Get the vote counts from Redis sets (skipId is globally unique with timestamp)
-    const thumbsUpUsers = await redisClient.smembers(`${SKIP_VOTE_USERS_PREFIX}${teamId}:${skipId}:thumbsUp`) || [];
-    const thumbsDownUsers = await redisClient.smembers(`${SKIP_VOTE_USERS_PREFIX}${teamId}:${skipId}:thumbsDown`) || [];
+    const thumbsUpUsers = thumbsUp || [];
+    const thumbsDownUsers = thumbsDown || [];
 
     return {
       ...vote,
@@ -130,6 +209,14 @@ const redis = {
       SKIP_VOTE_TTL
     );
 
+    // Index the vote message so reactions can find the vote
+    if (voteData.messageTs) {
+      await redisClient.multi()
+        .hset(`${SKIP_VOTE_INDEX_PREFIX}${teamId}:${channelId}`, voteData.messageTs, skipId)
+        .expire(`${SKIP_VOTE_INDEX_PREFIX}${teamId}:${channelId}`, SKIP_VOTE_TTL)
+        .exec();
+    }
+
     // Store user sets separately
     if (thumbsUpUsers && thumbsUpUsers.size > 0) {
       await redisClient.sadd(`${SKIP_VOTE_USERS_PREFIX}${teamId}:${skipId}:thumbsUp`, ...Array.from(thumbsUpUsers));
@@ -143,18 +230,24 @@ const redis = {
 
   async addThumbsUp(teamId, skipId, userId) {
     await ensureConnection();
-    // Add to thumbs up set (users can have both up and down)
-    await redisClient.sadd(`${SKIP_VOTE_USERS_PREFIX}${teamId}:${skipId}:thumbsUp`, userId);
-    // Refresh TTL
-    await redisClient.expire(`${SKIP_VOTE_USERS_PREFIX}${teamId}:${skipId}:thumbsUp`, SKIP_VOTE_TTL);
+    // One vote per user - a new vote replaces the old one
+    await redisClient.multi()
+      .srem(`${SKIP_VOTE_USERS_PREFIX}${teamId}:${skipId}:thumbsDown`, userId)
+      .sadd(`${SKIP_VOTE_USERS_PREFIX}${teamId}:${skipId}:thumbsUp`, userId)
+      // Refresh TTL
+      .expire(`${SKIP_VOTE_USERS_PREFIX}${teamId}:${skipId}:thumbsUp`, SKIP_VOTE_TTL)
+      .exec();
   },
 
   async addThumbsDown(teamId, skipId, userId) {
     await ensureConnection();
-    // Add to thumbs down set (users can have both up and down)
-    await redisClient.sadd(`${SKIP_VOTE_USERS_PREFIX}${teamId}:${skipId}:thumbsDown`, userId);
-    // Refresh TTL
-    await redisClient.expire(`${SKIP_VOTE_USERS_PREFIX}${teamId}:${skipId}:thumbsDown`, SKIP_VOTE_TTL);
+    // One vote per user - a new vote replaces the old one
+    await redisClient.multi()
+      .srem(`${SKIP_VOTE_USERS_PREFIX}${teamId}:${skipId}:thumbsUp`, userId)
+      .sadd(`${SKIP_VOTE_USERS_PREFIX}${teamId}:${skipId}:thumbsDown`, userId)
+      // Refresh TTL
+      .expire(`${SKIP_VOTE_USERS_PREFIX}${teamId}:${skipId}:thumbsDown`, SKIP_VOTE_TTL)
+      .exec();
   },
 
   async removeThumbsUp(teamId, skipId, userId) {
@@ -169,55 +262,188 @@ const redis = {
 
   async deleteSkipVote(teamId, channelId, skipId) {
     await ensureConnection();
-    await redisClient.del(
+    const value = await redisClient.get(`${SKIP_VOTE_PREFIX}${teamId}:${channelId}:${skipId}`);
+    const messageTs = value ? JSON.parse(value).messageTs : null;
+
+    const transaction = redisClient.multi().del(
       `${SKIP_VOTE_PREFIX}${teamId}:${channelId}:${skipId}`,
       `${SKIP_VOTE_USERS_PREFIX}${teamId}:${skipId}:thumbsUp`,
       `${SKIP_VOTE_USERS_PREFIX}${teamId}:${skipId}:thumbsDown`
     );
+    if (messageTs) {
+      transaction.hdel(`${SKIP_VOTE_INDEX_PREFIX}${teamId}:${channelId}`, messageTs);
+    }
+    await transaction.exec();
   },
 
   async findSkipVoteByMessageTs(teamId, channelId, messageTs) {
     await ensureConnection();
-    // Scan for skip votes in this channel
-    const pattern = `${SKIP_VOTE_PREFIX}${teamId}:${channelId}:*`;
-    const keys = await redisClient.keys(pattern);
+    const skipId = await redisClient.hget(`${SKIP_VOTE_INDEX_PREFIX}${teamId}:${channelId}`, messageTs);
+    if (!skipId) return null;
+
+    const vote = await this.getSkipVote(teamId, channelId, skipId);
+    if (!vote) {
+      // The vote expired - drop its stale index entry
+      await redisClient.hdel(`${SKIP_VOTE_INDEX_PREFIX}${teamId}:${channelId}`, messageTs);
+      return null;
+    }
+    return vote;
+  },
 
-    for (const key of keys) {
-      const value = await redisClient.get(key);
-      if (value) {
-        const vote = JSON.parse(value);
-        if (vote.messageTs === messageTs) {
-          const skipId = key.split(':')[3]; // Extract skipId from key (team:channel:skipId)
-          return await this.getSkipVote(teamId, channelId, skipId);
-        }
-      }
+  // skipIds of the channel's open votes
+  async getChannelSkipVoteIds(teamId, channelId) {
+    await ensureConnection();
+    const index = await redisClient.hgetall(`${SKIP_VOTE_INDEX_PREFIX}${teamId}:${channelId}`);
+    return Object.values(index || {});
+  },
+
+  // Lifecycle cleanup (/disconnect, app_uninstalled, tokens_revoked) - see lifecycle.js
+
+  // Remove everything tied to the connected Spotify account from a channel record,
+  // keeping channel settings (and history) for a later reconnect
+  async unlinkChannelSpotify(teamId, channelId) {
+    const channel = await this.getChannel(teamId, channelId);
+    if (!channel) return null;
+    const { spotify, connectedBy, connectedAt, playlist, preferredDevice, queueLock, digestScheduledFor, ...rest } = channel;
+    await this.setChannel(teamId, channelId, rest);
+    return rest;
+  },
+
+  // Delete a channel's open skip votes and their vote sets - returns the deleted votes
+  async deleteChannelSkipVotes(teamId, channelId) {
+    const votes = [];
+    for (const skipId of await this.getChannelSkipVoteIds(teamId, channelId)) {
+      const vote = await this.getSkipVote(teamId, channelId, skipId);
+      if (vote) votes.push(vote);
+      await this.deleteSkipVote(teamId, channelId, skipId);
     }
-    return null;
+    await redisClient.del(`${SKIP_VOTE_INDEX_PREFIX}${teamId}:${channelId}`);
+    return votes;
   },
 
-  // Debug/admin operations
-  async getAllChannels() {
+  async deleteHeldRequests(teamId, channelId) {
     await ensureConnection();
-    const keys = await redisClient.keys(`${CHANNEL_PREFIX}*`);
-    const channels = {};
-    for (const key of keys) {
-      const value = await redisClient.get(key);
-      if (value) {
-        // Key format is now channel:teamId:channelId
-        const parts = key.replace(CHANNEL_PREFIX, '').split(':');
-        const teamId = parts[0];
-        const channelId = parts[1];
-        const fullKey = `${teamId}:${channelId}`;
-        channels[fullKey] = JSON.parse(value);
+    await redisClient.del(`${HELD_REQUESTS_PREFIX}${teamId}:${channelId}`);
+  },
+
+  async getTeamChannelIds(teamId) {
+    await ensureConnection();
+    return redisClient.smembers(`${TEAM_CHANNELS_PREFIX}${teamId}`);
+  },
+
+  // Delete every per-channel key of a team (records, votes, history, quotas, DJs, ...)
+  // and the channel-to-team mappings that point at it - returns the number of keys deleted
+  async deleteTeamChannelData(teamId) {
+    await ensureConnection();
+    const channelIds = await this.getTeamChannelIds(teamId);
+
+    // Per-track, per-user and per-vote keys aren't indexed - scan for them (this runs rarely)
+    const prefixes = [
+      SKIP_VOTE_PREFIX, SKIP_VOTE_USERS_PREFIX, TRACK_REQUESTER_PREFIX, USER_REQUESTS_PREFIX, RECENT_TRACK_PREFIX
+    ];
+    const keys = [`${TEAM_CHANNELS_PREFIX}${teamId}`];
+    for (const prefix of prefixes) {
+      keys.push(...await scanKeys(`${prefix}${teamId}:*`));
+    }
+
+    const owners = channelIds.length
+      ? await redisClient.mget(channelIds.map(channelId => `${CHANNEL_TEAM_PREFIX}${channelId}`))
+      : [];
+    channelIds.forEach((channelId, i) => {
+      keys.push(
+        `${CHANNEL_PREFIX}${teamId}:${channelId}`,
+        `${HISTORY_PREFIX}${teamId}:${channelId}`,
+        `${HELD_REQUESTS_PREFIX}${teamId}:${channelId}`,
+        `${DJS_PREFIX}${teamId}:${channelId}`,
+        `${SKIP_VOTE_INDEX_PREFIX}${teamId}:${channelId}`
+      );
+      // Only drop mappings that still point at this team
+      if (owners[i] === teamId) {
+        keys.push(`${CHANNEL_TEAM_PREFIX}${channelId}`);
       }
+    });
+
+    // Count what actually existed
+    return redisClient.del(...keys);
+  },
+
+  async deleteTeamToken(teamId) {
+    await ensureConnection();
+    await redisClient.multi()
+      .del(`${TEAM_PREFIX}${teamId}`)
+      .srem(TEAMS_KEY, teamId)
+      .exec();
+  },
+
+  // Admin operations (see admin.js)
+  async getTeamIds() {
+    await ensureConnection();
+    return redisClient.smembers(TEAMS_KEY);
+  },
+
+  // Team records for several teams at once, in the same order (null when missing)
+  async getTeams(teamIds) {
+    await ensureConnection();
+    if (!teamIds.length) return [];
+    const values = await redisClient.mget(teamIds.map(teamId => `${TEAM_PREFIX}${teamId}`));
+    return values.map(value => value ? JSON.parse(value) : null);
+  },
+
+  // Channel records for several of a team's channels at once, in the same order (null when missing)
+  async getChannels(teamId, channelIds) {
+    await ensureConnection();
+    if (!channelIds.length) return [];
+    const values = await redisClient.mget(channelIds.map(channelId => `${CHANNEL_PREFIX}${teamId}:${channelId}`));
+    return values.map(value => value ? JSON.parse(value) : null);
+  },
+
+  /**
+   * Build the indexes above from existing data (run once after upgrading, safe to re-run)
+   * Returns the number of teams, channels and open votes indexed
+   */
+  async backfillIndexes() {
+    await ensureConnection();
+    const counts = { teams: 0, channels: 0, skipVotes: 0 };
+
+    for (const key of await scanKeys(`${TEAM_PREFIX}*`)) {
+      await redisClient.sadd(TEAMS_KEY, key.slice(TEAM_PREFIX.length));
+      counts.teams++;
+    }
+
+    // Key format is channel:teamId:channelId
+    for (const key of await scanKeys(`${CHANNEL_PREFIX}*`)) {
+      const [teamId, channelId] = key.slice(CHANNEL_PREFIX.length).split(':');
+      await redisClient.multi()
+        .sadd(`${TEAM_CHANNELS_PREFIX}${teamId}`, channelId)
+        .sadd(TEAMS_KEY, teamId)
+        .exec();
+      counts.channels++;
+    }
+
+    // Key format is skipVote:teamId:channelId:skipId
+    for (const key of await scanKeys(`${SKIP_VOTE_PREFIX}*`)) {
+      const [teamId, channelId, skipId] = key.slice(SKIP_VOTE_PREFIX.length).split(':');
+      const value = await redisClient.get(key);
+      const messageTs = value ? JSON.parse(value).messageTs : null;
+      if (!messageTs) continue;
+
+      await redisClient.multi()
+        .hset(`${SKIP_VOTE_INDEX_PREFIX}${teamId}:${channelId}`, messageTs, skipId)
+        .expire(`${SKIP_VOTE_INDEX_PREFIX}${teamId}:${channelId}`, SKIP_VOTE_TTL)
+        .exec();
+      counts.skipVotes++;
     }
-    return channels;
+
+    return counts;
   },
 
   // Team token operations (for Slack OAuth)
   async storeTeamToken(teamId, tokenData) {
     await ensureConnection();
-    await redisClient.set(`${TEAM_PREFIX}${teamId}`, JSON.stringify(tokenData));
+    await redisClient.multi()
+      .set(`${TEAM_PREFIX}${teamId}`, JSON.stringify(tokenData))
+      .sadd(TEAMS_KEY, teamId)
+      .exec();
   },
 
   async getTeamToken(teamId) {
@@ -243,6 +469,183 @@ const redis = {
     await ensureConnection();
     const value = await redisClient.get(`${CHANNEL_TEAM_PREFIX}${channelId}`);
     return value;
+  },
+
+  // Replay protection for signed Slack requests - returns false if already seen
+  async markRequestSeen(signature, ttlSeconds) {
+    await ensureConnection();
+    const result = await redisClient.set(`${SEEN_REQUEST_PREFIX}${signature}`, '1', 'EX', ttlSeconds, 'NX');
+    return result === 'OK';
+  },
+
+  // Drop a replay marker so a later retry of the request is handled again
+  async forgetRequestSeen(signature) {
+    await ensureConnection();
+    await redisClient.del(`${SEEN_REQUEST_PREFIX}${signature}`);
+  },
+
+  // Short-lived distributed locks - returns an owner token, or null if already held
+  async acquireLock(name, ttlMs) {
+    await ensureConnection();
+    const owner = `${Date.now()}:${Math.random().toString(36).slice(2)}`;
+    const result = await redisClient.set(`${LOCK_PREFIX}${name}`, owner, 'PX', ttlMs, 'NX');
+    return result === 'OK' ? owner : null;
+  },
+
+  async releaseLock(name, owner) {
+    await ensureConnection();
+    await redisClient.eval(RELEASE_LOCK_SCRIPT, 1, `${LOCK_PREFIX}${name}`, owner);
+  },
+
+  // Track requester operations (who queued a track through /add-song)
+  async setTrackRequester(teamId, channelId, trackUri, requester) {
+    await ensureConnection();
+    await redisClient.set(
+      `${TRACK_REQUESTER_PREFIX}${teamId}:${channelId}:${trackUri}`,
+      JSON.stringify(requester),
+      'EX',
+      TRACK_REQUESTER_TTL
+    );
+  },
+
+  async getTrackRequester(teamId, channelId, trackUri) {
+    await ensureConnection();
+    const value = await redisClient.get(`${TRACK_REQUESTER_PREFIX}${teamId}:${channelId}:${trackUri}`);
+    return value ? JSON.parse(value) : null;
+  },
+
+  // Look up requesters for several tracks at once - returns { [trackUri]: requester }
+  async getTrackRequesters(teamId, channelId, trackUris) {
+    await ensureConnection();
+    if (!trackUris.length) return {};
+    const values = await redisClient.mget(trackUris.map(uri => `${TRACK_REQUESTER_PREFIX}${teamId}:${channelId}:${uri}`));
+    const requesters = {};
+    trackUris.forEach((uri, i) => {
+      if (values[i]) requesters[uri] = JSON.parse(values[i]);
+    });
+    return requesters;
+  },
+
+  // Request history operations (append-only stream per channel)
+  async appendHistory(teamId, channelId, entry) {
+    await ensureConnection();
+    return redisClient.xadd(
+      `${HISTORY_PREFIX}${teamId}:${channelId}`,
+      'MAXLEN', '~', HISTORY_MAX_LENGTH,
+      '*',
+      'data', JSON.stringify(entry)
+    );
+  },
+
+  // Entries between two timestamps (ms), oldest first
+  async getHistoryRange(teamId, channelId, fromMs, toMs) {
+    await ensureConnection();
+    const entries = await redisClient.xrange(
+      `${HISTORY_PREFIX}${teamId}:${channelId}`,
+      fromMs === undefined ? '-' : String(fromMs),
+      toMs === undefined ? '+' : String(toMs)
+    );
+    return entries.map(parseHistoryEntry);
+  },
+
+  // Most recent entries, newest first
+  async getRecentHistory(teamId, channelId, count) {
+    await ensureConnection();
+    const entries = await redisClient.xrevrange(`${HISTORY_PREFIX}${teamId}:${channelId}`, '+', '-', 'COUNT', count);
+    return entries.map(parseHistoryEntry);
+  },
+
+  // Quota operations - request timestamps per user within a rolling window
+  async recordUserRequest(teamId, channelId, userId, windowSeconds) {
+    await ensureConnection();
+    const key = `${USER_REQUESTS_PREFIX}${teamId}:${channelId}:${userId}`;
+    const now = Date.now();
+    await redisClient.multi()
+      .zremrangebyscore(key, '-inf', now - windowSeconds * 1000)
+      .zadd(key, now, `${now}:${Math.random().toString(36).slice(2, 8)}`)
+      .expire(key, windowSeconds)
+      .exec();
+  },
+
+  // Timestamps (ms, oldest first) of a user's requests since `sinceMs`
+  async getUserRequestTimes(teamId, channelId, userId, sinceMs) {
+    await ensureConnection();
+    const values = await redisClient.zrangebyscore(
+      `${USER_REQUESTS_PREFIX}${teamId}:${channelId}:${userId}`,
+      sinceMs,
+      '+inf',
+      'WITHSCORES'
+    );
+    // WITHSCORES returns [member, score, member, score, ...]
+    return values.filter((_, i) => i % 2 === 1).map(Number);
+  },
+
+  // Fair-share held requests (FIFO)
+  async pushHeldRequest(teamId, channelId, request) {
+    await ensureConnection();
+    await redisClient.rpush(`${HELD_REQUESTS_PREFIX}${teamId}:${channelId}`, JSON.stringify(request));
+  },
+
+  async getHeldRequests(teamId, channelId) {
+    await ensureConnection();
+    const values = await redisClient.lrange(`${HELD_REQUESTS_PREFIX}${teamId}:${channelId}`, 0, -1);
+    return values.map(value => JSON.parse(value));
+  },
+
+  async removeHeldRequest(teamId, channelId, requestId) {
+    await ensureConnection();
+    const key = `${HELD_REQUESTS_PREFIX}${teamId}:${channelId}`;
+    const values = await redisClient.lrange(key, 0, -1);
+    const match = values.find(value => JSON.parse(value).id === requestId);
+    if (match) {
+      await redisClient.lrem(key, 1, match);
+    }
+  },
+
+  // Recently-queued tracks (duplicate/replay protection), keyed by Spotify track ID
+  async setRecentTrack(teamId, channelId, trackId, data) {
+    await ensureConnection();
+    await redisClient.set(`${RECENT_TRACK_PREFIX}${teamId}:${channelId}:${trackId}`, JSON.stringify(data), 'EX', RECENT_TRACK_TTL);
+  },
+
+  async getRecentTrack(teamId, channelId, trackId) {
+    await ensureConnection();
+    const value = await redisClient.get(`${RECENT_TRACK_PREFIX}${teamId}:${channelId}:${trackId}`);
+    return value ? JSON.parse(value) : null;
+  },
+
+  // DJ role (Slack user IDs) per channel
+  async addDj(teamId, channelId, userId) {
+    await ensureConnection();
+    return (await redisClient.sadd(`${DJS_PREFIX}${teamId}:${channelId}`, userId)) === 1;
+  },
+
+  async removeDj(teamId, channelId, userId) {
+    await ensureConnection();
+    return (await redisClient.srem(`${DJS_PREFIX}${teamId}:${channelId}`, userId)) === 1;
+  },
+
+  async getDjs(teamId, channelId) {
+    await ensureConnection();
+    return redisClient.smembers(`${DJS_PREFIX}${teamId}:${channelId}`);
+  },
+
+  async isDj(teamId, channelId, userId) {
+    await ensureConnection();
+    return (await redisClient.sismember(`${DJS_PREFIX}${teamId}:${channelId}`, userId)) === 1;
+  },
+
+  // OAuth state operations (Spotify connect flow)
+  async setOAuthState(nonce, data, ttlSeconds) {
+    await ensureConnection();
+    await redisClient.set(`${OAUTH_STATE_PREFIX}${nonce}`, JSON.stringify(data), 'EX', ttlSeconds);
+  },
+
+  // Read and delete in one step so a state can only be used once
+  async consumeOAuthState(nonce) {
+    await ensureConnection();
+    const value = await redisClient.getdel(`${OAUTH_STATE_PREFIX}${nonce}`);
+    return value ? JSON.parse(value) : null;
   }
 };
 
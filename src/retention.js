@@ -0,0 +1,18 @@
+/**
+ * How long the store keeps short-lived records
+ * Shared by the Redis and in-memory stores so both expire data the same way
+ */
+
+// TTL for skip votes (15 minutes)
+const SKIP_VOTE_TTL = 60 * 15;
+
+// TTL for who-queued-what records (12 hours - queued tracks rarely wait longer)
+const TRACK_REQUESTER_TTL = 60 * 60 * 12;
+
+// TTL for recently-queued track records (24 hours - the longest replay window)
+const RECENT_TRACK_TTL = 60 * 60 * 24;
+
+// Approximate number of history entries kept per channel
+const HISTORY_MAX_LENGTH = 10000;
+
+module.exports = { SKIP_VOTE_TTL, TRACK_REQUESTER_TTL, RECENT_TRACK_TTL, HISTORY_MAX_LENGTH };
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { Client, Receiver } = require('@upstash/qstash');
+
+/**
+ * Delayed-job scheduler
+ *
+ * A job is an HTTP POST of a JSON body to one of our own routes after a delay.
+ * Routes that receive jobs use `verifyJob` to make sure the call came from the scheduler.
+ *
+ * Backends (SCHEDULER_BACKEND):
+ * - qstash: Upstash QStash (default when QSTASH_TOKEN is set) - survives serverless freezes
+ * - local: in-process timers (default otherwise) - for src/index.js and local development.
+ *   Pending jobs are lost if the process restarts, so it refuses to start on Vercel.
+ *
+ * QStash signing keys (QSTASH_CURRENT_SIGNING_KEY / QSTASH_NEXT_SIGNING_KEY) are required when
+ * NODE_ENV=production - without them every job callback is rejected.
+ */
+
+function getBaseUrl() {
+  return process.env.BASE_URL ||
+    (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : null) ||
+    `http://localhost:${process.env.PORT || 3000}`;
+}
+
+function createQStashBackend() {
+  const client = new Client({ token: process.env.QSTASH_TOKEN });
+
+  // Initialize Receiver for signature verification
+  const receiver = process.env.QSTASH_CURRENT_SIGNING_KEY && process.env.QSTASH_NEXT_SIGNING_KEY
+    ? new Receiver({
+        currentSigningKey: process.env.QSTASH_CURRENT_SIGNING_KEY,
+        nextSigningKey: process.env.QSTASH_NEXT_SIGNING_KEY
+      })
+    : null;
+  console.log('QStash Receiver initialized:', !!receiver);
+
+  return {
+    name: 'qstash',
+
+    async publish(path, body, delaySeconds) {
+      await client.publishJSON({
+        url: `${getBaseUrl()}${path}`,
+        body,
+        delay: delaySeconds
+      });
+    },
+
+    async verify(req, rawBody) {
+      if (!receiver) {
+        // Job routes act on their body as-is, so production never accepts unsigned calls
+        if (process.env.NODE_ENV === 'production') {
+          console.error('QStash job rejected - QSTASH_CURRENT_SIGNING_KEY / QSTASH_NEXT_SIGNING_KEY not configured');
+          return false;
+        }
+        console.warn('QStash signature verification skipped - signing keys not configured (NODE_ENV is not production)');
+        return true;
+      }
+
+      const signature = req.headers['upstash-signature'];
+      if (!signature) {
+        console.error('Missing upstash-signature header');
+        return false;
+      }
+
+      try {
+        // Verify the request came from QStash
+        await receiver.verify({ signature, body: rawBody });
+        console.log('QStash signature verified successfully');
+        return true;
+      } catch (err) {
+        console.error('Invalid QStash signature:', err.message);
+        return false;
+      }
+    }
+  };
+}
+
+function createLocalBackend() {
+  // Jobs are delivered by this process, so a per-process secret is enough unless one is configured
+  const secret = process.env.LOCAL_JOB_SECRET || crypto.randomBytes(32).toString('hex');
+  const sign = (body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+  return {
+    name: 'local',
+
+    async publish(path, body, delaySeconds) {
+      const payload = JSON.stringify(body);
+      const timer = setTimeout(async () => {
+        try {
+          await axios.post(`${getBaseUrl()}${path}`, payload, {
+            headers: { 'Content-Type': 'application/json', 'X-Playlift-Job-Signature': sign(payload) }
+          });
+        } catch (err) {
+          console.error(`Local job ${path} failed:`, err.response?.status || err.message);
+        }
+      }, delaySeconds * 1000);
+      // Don't keep the process alive just for pending jobs
+      timer.unref();
+    },
+
+    async verify(req, rawBody) {
+      const signature = req.headers['x-playlift-job-signature'];
+      if (!signature) {
+        console.error('Missing x-playlift-job-signature header');
+        return false;
+      }
+
+      const expected = Buffer.from(sign(rawBody));
+      const actual = Buffer.from(signature);
+      return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+  };
+}
+
+function createBackend() {
+  const configured = process.env.SCHEDULER_BACKEND || (process.env.QSTASH_TOKEN ? 'qstash' : 'local');
+
+  if (configured === 'qstash') {
+    if (!process.env.QSTASH_TOKEN) {
+      throw new Error('SCHEDULER_BACKEND=qstash requires QSTASH_TOKEN');
+    }
+    return createQStashBackend();
+  }
+  if (configured === 'local') {
+    // Timers die with the serverless instance - jobs would silently never run
+    if (process.env.VERCEL) {
+      throw new Error('The local scheduler does not work on Vercel - set QSTASH_TOKEN (or SCHEDULER_BACKEND=qstash)');
+    }
+    return createLocalBackend();
+  }
+  throw new Error(`Unknown SCHEDULER_BACKEND: ${configured}`);
+}
+
+const backend = createBackend();
+console.log('Scheduler backend:', backend.name);
+
+/**
+ * Schedule a POST of `body` to one of our routes after `delaySeconds`
+ */
+async function publish(path, body, delaySeconds) {
+  console.log(`Scheduling ${path} in ${delaySeconds}s via ${backend.name}`);
+  await backend.publish(path, body, delaySeconds);
+}
+
+/**
+ * Express middleware rejecting job callbacks that did not come from the scheduler
+ */
+async function verifyJob(req, res, next) {
+  const rawBody = typeof req.rawBody === 'string' ? req.rawBody : JSON.stringify(req.body);
+
+  if (!(await backend.verify(req, rawBody))) {
+    return res.status(401).send('Unauthorized: Invalid signature');
+  }
+  next();
+}
+
+module.exports = { publish, verifyJob, backendName: backend.name };
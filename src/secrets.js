@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+/**
+ * Encryption at rest for Slack and Spotify tokens (AES-256-GCM)
+ *
+ * TOKEN_ENCRYPTION_KEYS lists `version:base64key` pairs separated by commas, current key
+ * first, e.g. `2:<new key>,1:<old key>` (generate keys with `openssl rand -base64 32`).
+ * A sealed record stores its token fields as `iv.tag.ciphertext` and the version of the key
+ * in `keyVersion`. Each field is bound to its record and name, so a ciphertext copied into
+ * another record fails to decrypt.
+ *
+ * Records without `keyVersion` are plaintext (stored before encryption was turned on) and are
+ * read as-is; store.reencryptTokens upgrades them, and records sealed with an older key.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+function parseKeys(value) {
+  const keys = new Map();
+  let currentVersion = null;
+
+  for (const entry of (value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = /^(\d+):(.+)$/.exec(entry);
+    if (!match) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like <version>:<base64 key>');
+    }
+    const key = Buffer.from(match[2], 'base64');
+    if (key.length !== 32) {
+      throw new Error(`TOKEN_ENCRYPTION_KEYS key version ${match[1]} must be 32 bytes (base64)`);
+    }
+    const version = Number(match[1]);
+    keys.set(version, key);
+    if (currentVersion === null) currentVersion = version;
+  }
+
+  return { keys, currentVersion };
+}
+
+const { keys, currentVersion } = parseKeys(process.env.TOKEN_ENCRYPTION_KEYS);
+console.log('Token encryption key version:', currentVersion ?? 'none (tokens stored in plaintext)');
+
+function encrypt(plaintext, key, context) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(context, 'utf8'));
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join('.');
+}
+
+function decrypt(sealed, key, context) {
+  const [iv, tag, data] = String(sealed).split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(context, 'utf8'));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Copy of `record` with its token `fields` encrypted under the current key
+ * `context` names the record (e.g. `team:T123`). Plaintext is kept when no key is configured.
+ */
+function seal(record, fields, context) {
+  if (!record || currentVersion === null) return record;
+
+  const { keyVersion, ...sealed } = record;
+  for (const field of fields) {
+    if (typeof sealed[field] === 'string') {
+      sealed[field] = encrypt(sealed[field], keys.get(currentVersion), `${context}:${field}`);
+    }
+  }
+  return { ...sealed, keyVersion: currentVersion };
+}
+
+/**
+ * Copy of a stored `record` with its token `fields` decrypted (and `keyVersion` removed)
+ */
+function open(record, fields, context) {
+  if (!record || record.keyVersion === undefined) return record;
+
+  const { keyVersion, ...opened } = record;
+  const key = keys.get(keyVersion);
+  if (!key) {
+    throw new Error(`Cannot decrypt ${context}: key version ${keyVersion} is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+  for (const field of fields) {
+    if (typeof opened[field] === 'string') {
+      opened[field] = decrypt(opened[field], key, `${context}:${field}`);
+    }
+  }
+  return opened;
+}
+
+/**
+ * Whether a stored record should be rewritten with the current key
+ */
+function needsReencryption(record) {
+  return !!record && currentVersion !== null && record.keyVersion !== currentVersion;
+}
+
+module.exports = { parseKeys, seal, open, needsReencryption, currentVersion };
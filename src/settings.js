@@ -0,0 +1,252 @@
+/**
+ * Per-channel settings stored on the channel record (`channel.settings`)
+ *
+ * Each setting has a short name used by `/playlift config <name> <value>`,
+ * a section/field where it lives on the record, a type and a default.
+ */
+
+// Who may use a playback control command (see the `controls` section)
+const CONTROL_PERMISSIONS = ['anyone', 'dj', 'vote'];
+
+const SETTINGS = [
+  {
+    name: 'window',
+    section: 'skipVote',
+    field: 'windowSeconds',
+    type: 'int',
+    min: 5,
+    max: 300,
+    default: 10,
+    description: 'How long a skip vote stays open (seconds)'
+  },
+  {
+    name: 'quorum',
+    section: 'skipVote',
+    field: 'quorum',
+    type: 'int',
+    min: 0,
+    max: 100,
+    default: 0,
+    description: 'Minimum number of votes needed before a song can be skipped'
+  },
+  {
+    name: 'threshold',
+    section: 'skipVote',
+    field: 'thresholdPercent',
+    type: 'int',
+    min: 0,
+    max: 99,
+    default: 50,
+    description: 'Skip when more than this percentage of votes are Skip'
+  },
+  {
+    name: 'cooldown',
+    section: 'skipVote',
+    field: 'cooldownSeconds',
+    type: 'int',
+    min: 0,
+    max: 3600,
+    default: 0,
+    description: 'Minimum time between skips (seconds)'
+  },
+  {
+    name: 'requester-votes',
+    section: 'skipVote',
+    field: 'requesterVotesSkip',
+    type: 'bool',
+    default: false,
+    description: 'Count the /skip requester as an automatic Skip vote'
+  },
+  {
+    name: 'pause',
+    section: 'controls',
+    field: 'pause',
+    type: 'choice',
+    choices: CONTROL_PERMISSIONS,
+    default: 'anyone',
+    description: 'Who can use /pause: anyone, dj (DJs only) or vote (a vote like /skip; DJs act directly)'
+  },
+  {
+    name: 'resume',
+    section: 'controls',
+    field: 'resume',
+    type: 'choice',
+    choices: CONTROL_PERMISSIONS,
+    default: 'anyone',
+    description: 'Who can use /resume: anyone, dj (DJs only) or vote (a vote like /skip; DJs act directly)'
+  },
+  {
+    name: 'previous',
+    section: 'controls',
+    field: 'previous',
+    type: 'choice',
+    choices: CONTROL_PERMISSIONS,
+    default: 'anyone',
+    description: 'Who can use /previous: anyone, dj (DJs only) or vote (a vote like /skip; DJs act directly)'
+  },
+  {
+    name: 'volume',
+    section: 'controls',
+    field: 'volume',
+    type: 'choice',
+    choices: CONTROL_PERMISSIONS,
+    default: 'anyone',
+    description: 'Who can use /volume: anyone, dj (DJs only) or vote (a vote like /skip; DJs act directly)'
+  },
+  {
+    name: 'devices',
+    section: 'controls',
+    field: 'devices',
+    type: 'choice',
+    choices: ['anyone', 'dj'],
+    default: 'dj',
+    description: 'Who can move playback to another device or forget the preferred one (/devices): anyone or dj (DJs only)'
+  },
+  {
+    name: 'quota',
+    section: 'quota',
+    field: 'perUser',
+    type: 'int',
+    min: 0,
+    max: 100,
+    default: 0,
+    description: 'Songs each user can add per quota window (0 = unlimited)'
+  },
+  {
+    name: 'quota-window',
+    section: 'quota',
+    field: 'windowMinutes',
+    type: 'int',
+    min: 1,
+    max: 1440,
+    default: 60,
+    description: 'Rolling window for the song quota (minutes)'
+  },
+  {
+    name: 'fair-share',
+    section: 'quota',
+    field: 'fairShare',
+    type: 'bool',
+    default: false,
+    description: 'Hold a user\'s next song until their earlier songs have played when others are waiting'
+  },
+  {
+    name: 'collection-limit',
+    section: 'addSong',
+    field: 'collectionLimit',
+    type: 'int',
+    min: 1,
+    max: 20,
+    default: 5,
+    description: 'How many tracks to queue from an album or playlist link'
+  },
+  {
+    name: 'auto-queue',
+    section: 'addSong',
+    field: 'autoQueueLinks',
+    type: 'bool',
+    default: false,
+    description: 'Queue Spotify track links posted in the channel (reacts with ✅ or ❌)'
+  },
+  {
+    name: 'playlist',
+    section: 'playlist',
+    field: 'mirror',
+    type: 'bool',
+    default: false,
+    description: 'Also add every queued song to a shared Spotify playlist for the channel (see /playlist)'
+  },
+  {
+    name: 'no-duplicates',
+    section: 'duplicates',
+    field: 'rejectQueued',
+    type: 'bool',
+    default: true,
+    description: 'Reject songs that are already waiting in the queue'
+  },
+  {
+    name: 'replay-window',
+    section: 'duplicates',
+    field: 'replayWindowHours',
+    type: 'int',
+    min: 0,
+    max: 24,
+    default: 4,
+    description: 'Reject songs queued in this channel within this many hours (0 = off)'
+  }
+];
+
+function findSetting(name) {
+  return SETTINGS.find(s => s.name === String(name || '').toLowerCase()) || null;
+}
+
+/**
+ * Resolve a section of a channel's settings, filling in defaults
+ */
+function getSection(ch, section) {
+  const stored = ch?.settings?.[section] || {};
+  const resolved = {};
+  for (const setting of SETTINGS.filter(s => s.section === section)) {
+    resolved[setting.field] = stored[setting.field] !== undefined ? stored[setting.field] : setting.default;
+  }
+  return resolved;
+}
+
+// What a setting accepts, for error and usage messages
+function describeValues(setting) {
+  if (setting.type === 'bool') return 'on or off';
+  if (setting.type === 'choice') return `one of: ${setting.choices.join(', ')}`;
+  if (setting.type === 'int') return `a whole number from ${setting.min} to ${setting.max}`;
+  return 'not changeable';
+}
+
+/**
+ * Parse a user-supplied value for a setting
+ * Returns { value } or { error } with a message for the user
+ */
+function parseValue(setting, raw) {
+  const text = String(raw || '').trim().toLowerCase();
+
+  // Number('') is 0 - a missing value must never become one
+  if (!text) {
+    return { error: `Give a value for \`${setting.name}\`: ${describeValues(setting)}` };
+  }
+
+  if (setting.type === 'bool') {
+    if (['on', 'true', 'yes', '1'].includes(text)) return { value: true };
+    if (['off', 'false', 'no', '0'].includes(text)) return { value: false };
+    return { error: `\`${setting.name}\` must be ${describeValues(setting)}` };
+  }
+
+  if (setting.type === 'choice') {
+    if (setting.choices.includes(text)) return { value: text };
+    return { error: `\`${setting.name}\` must be ${describeValues(setting)}` };
+  }
+
+  if (setting.type === 'int') {
+    const value = Number(text.replace(/%$/, ''));
+    if (!Number.isInteger(value) || value < setting.min || value > setting.max) {
+      return { error: `\`${setting.name}\` must be ${describeValues(setting)}` };
+    }
+    return { value };
+  }
+
+  return { error: `\`${setting.name}\` cannot be changed` };
+}
+
+function formatValue(setting, value) {
+  if (setting.type === 'bool') return value ? 'on' : 'off';
+  return String(value);
+}
+
+/**
+ * Human-readable list of all settings for a channel
+ */
+function describe(ch) {
+  return SETTINGS.map(setting => {
+    const value = getSection(ch, setting.section)[setting.field];
+    return `• \`${setting.name}\` = *${formatValue(setting, value)}* - ${setting.description}`;
+  }).join('\n');
+}
+
+module.exports = { SETTINGS, findSetting, getSection, describeValues, parseValue, formatValue, describe };
@@ -1,34 +1,96 @@
 const axios = require('axios');
+const blocks = require('./blocks');
 
 /**
  * Slack API client functions
  * All functions now accept botToken as parameter for multi-workspace support
  */
 
-async function postMessage(channel, text, botToken) {
+async function postMessage(channel, text, botToken, messageBlocks) {
   if (!botToken || !botToken.startsWith('xoxb-')) {
     console.log('Mock Slack post (no valid token):', text);
     return { ok: true, ts: (Date.now() / 1000).toString(), channel };
   }
 
-  const r = await axios.post('https://slack.com/api/chat.postMessage', { channel, text }, { headers: { Authorization: `Bearer ${botToken}`, 'Content-Type': 'application/json' } });
+  const r = await axios.post('https://slack.com/api/chat.postMessage', { channel, text, blocks: messageBlocks }, { headers: { Authorization: `Bearer ${botToken}`, 'Content-Type': 'application/json' } });
   if (!r.data.ok) throw new Error('Slack API error: ' + JSON.stringify(r.data));
   return r.data;
 }
 
-async function postSkipVoteMessage(channel, trackName, artistName, requestedBy, botToken) {
-  // Post a skip vote message
-  const text = `⏭️ Skip requested by ${requestedBy}\n🎵 Currently playing: "${trackName}" by ${artistName}\n\n👍 React with thumbs up in 10 seconds to save it!\n👎 Thumbs down to skip`;
+async function updateMessage(channel, ts, text, botToken, messageBlocks) {
+  if (!botToken || !botToken.startsWith('xoxb-')) {
+    console.log('Mock Slack update (no valid token):', text);
+    return { ok: true, ts, channel };
+  }
+
+  const r = await axios.post('https://slack.com/api/chat.update', { channel, ts, text, blocks: messageBlocks }, { headers: { Authorization: `Bearer ${botToken}`, 'Content-Type': 'application/json' } });
+  if (!r.data.ok) throw new Error('Slack API error: ' + JSON.stringify(r.data));
+  return r.data;
+}
 
+async function postEphemeral(channel, user, text, botToken) {
+  // Post a message only one user in the channel can see
   if (!botToken || !botToken.startsWith('xoxb-')) {
-    console.log('Mock Slack skip vote post:', text);
-    return { ok: true, ts: (Date.now() / 1000).toString(), channel };
+    console.log('Mock Slack ephemeral post (no valid token):', text);
+    return { ok: true };
+  }
+
+  const r = await axios.post('https://slack.com/api/chat.postEphemeral', { channel, user, text }, { headers: { Authorization: `Bearer ${botToken}`, 'Content-Type': 'application/json' } });
+  if (!r.data.ok) throw new Error('Slack API error: ' + JSON.stringify(r.data));
+  return r.data;
+}
+
+async function addReaction(channel, ts, name, botToken) {
+  // React to a message (needs the reactions:write scope)
+  if (!botToken || !botToken.startsWith('xoxb-')) {
+    console.log(`Mock Slack reaction (no valid token): :${name}: on ${ts}`);
+    return { ok: true };
+  }
+
+  const r = await axios.post('https://slack.com/api/reactions.add', { channel, timestamp: ts, name }, { headers: { Authorization: `Bearer ${botToken}`, 'Content-Type': 'application/json' } });
+  if (!r.data.ok && r.data.error !== 'already_reacted') throw new Error('Slack API error: ' + JSON.stringify(r.data));
+  return r.data;
+}
+
+async function postSkipVoteMessage(channel, skipVote, botToken) {
+  // Post a skip vote message with Keep/Skip buttons
+  const message = blocks.skipVote(skipVote);
+  return postMessage(channel, message.text, botToken, message.blocks);
+}
+
+async function updateSkipVoteMessage(channel, skipVote, botToken, result) {
+  // Refresh the tally (or show the final result) on an existing skip vote message
+  const message = blocks.skipVote(skipVote, result);
+  return updateMessage(channel, skipVote.messageTs, message.text, botToken, message.blocks);
+}
+
+async function getUserInfo(userId, botToken) {
+  // Look up a workspace member (needs the users:read scope)
+  if (!botToken || !botToken.startsWith('xoxb-')) {
+    console.log('Mock Slack user info (no valid token):', userId);
+    return { id: userId, is_admin: true, is_owner: false };
   }
 
-  const r = await axios.post('https://slack.com/api/chat.postMessage', { channel, text }, { headers: { Authorization: `Bearer ${botToken}`, 'Content-Type': 'application/json' } });
+  const r = await axios.get('https://slack.com/api/users.info', { params: { user: userId }, headers: { Authorization: `Bearer ${botToken}` } });
   if (!r.data.ok) throw new Error('Slack API error: ' + JSON.stringify(r.data));
+  return r.data.user;
+}
+
+async function isWorkspaceAdmin(userId, botToken) {
+  const user = await getUserInfo(userId, botToken);
+  return !!(user.is_admin || user.is_owner || user.is_primary_owner);
+}
+
+async function respond(responseUrl, message) {
+  // Reply to an interaction (or slash command) through its response_url
+  if (!responseUrl) {
+    console.log('Mock Slack response (no response_url):', message.text);
+    return { ok: true };
+  }
+
+  const r = await axios.post(responseUrl, message, { headers: { 'Content-Type': 'application/json' } });
   return r.data;
 }
 
-module.exports = { postMessage, postSkipVoteMessage };
+module.exports = { postMessage, updateMessage, postEphemeral, addReaction, postSkipVoteMessage, updateSkipVoteMessage, getUserInfo, isWorkspaceAdmin, respond };
 
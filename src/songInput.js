@@ -0,0 +1,115 @@
+/**
+ * Parse what people type after /add-song
+ *
+ * Accepted formats:
+ * - Track links and URIs: https://open.spotify.com/track/{id}, spotify:track:{id}
+ * - Album and playlist links and URIs (their first tracks are queued)
+ * - "Song - Artist" (split on the last spaced dash, so "Re-Wired - Kasabian" works; a dash
+ *   with nothing on one side, as in "Song - ", is dropped)
+ * - Anything else is a free-text search
+ *
+ * Returns one of:
+ * - { type: 'track' | 'album' | 'playlist', id }
+ * - { type: 'search', title, artist } or { type: 'search', query }
+ * - { error } with a message for the user
+ */
+
+const SUPPORTED_TYPES = ['track', 'album', 'playlist'];
+
+// Longest free-text query we pass on to Spotify search
+const MAX_QUERY_LENGTH = 200;
+
+// open.spotify.com/{type}/{id}, optionally with a locale segment (intl-de) and a query string
+const SPOTIFY_URL = /^https?:\/\/open\.spotify\.com\/(?:intl-[a-z]{2}(?:-[a-z]{2})?\/)?([a-z]+)\/([^/?#\s]*)/i;
+const SPOTIFY_URI = /^spotify:([a-z]+):([^:\s]*)$/i;
+const SPOTIFY_ID = /^[A-Za-z0-9]{22}$/;
+
+// Track links and URIs anywhere in a message
+const TRACK_REFERENCE = /(?:https?:\/\/open\.spotify\.com\/(?:intl-[a-z]{2}(?:-[a-z]{2})?\/)?track\/|spotify:track:)([A-Za-z0-9]{22})(?![A-Za-z0-9])/g;
+
+// "Song - Artist" with a spaced hyphen, en dash or em dash
+const SEPARATOR = /\s+[-–—]\s+/g;
+// A dash left at either end, e.g. "Song - " once the input is trimmed
+const DANGLING_SEPARATOR = /^[-–—]\s+|\s+[-–—]$/g;
+
+function stripQuotes(text) {
+  return text.trim().replace(/^["“”']+|["“”']+$/g, '').trim();
+}
+
+function parseSpotifyReference(kind, type, id) {
+  const lowerType = type.toLowerCase();
+  if (!SUPPORTED_TYPES.includes(lowerType)) {
+    return { error: `Spotify ${lowerType} ${kind}s aren't supported. Paste a track, album or playlist ${kind}, or type "Song - Artist".` };
+  }
+  if (!SPOTIFY_ID.test(id)) {
+    return { error: `That Spotify ${lowerType} ${kind} looks incomplete - copy it again with Share → Copy link.` };
+  }
+  return { type: lowerType, id };
+}
+
+function parseSongInput(text) {
+  const input = String(text || '').trim();
+  if (!input) {
+    return { error: 'Tell me what to add: a Spotify link, "Song - Artist", or a few search words.' };
+  }
+
+  // Slack wraps pasted links in <url> or <url|label>
+  const unwrapped = input.replace(/^<([^|>]+)(?:\|[^>]*)?>$/, '$1');
+
+  const urlMatch = SPOTIFY_URL.exec(unwrapped);
+  if (urlMatch) {
+    return parseSpotifyReference('link', urlMatch[1], urlMatch[2]);
+  }
+  if (/^https?:\/\//i.test(unwrapped)) {
+    if (/^https?:\/\/(?:[a-z0-9-]+\.)*spotify\.(?:com|link)\//i.test(unwrapped)) {
+      return { error: 'Only open.spotify.com links are supported. In Spotify use Share → Copy link.' };
+    }
+    return { error: 'Only Spotify links are supported. Paste an open.spotify.com link, or type "Song - Artist".' };
+  }
+
+  if (/^spotify:/i.test(unwrapped)) {
+    const uriMatch = SPOTIFY_URI.exec(unwrapped);
+    if (!uriMatch) {
+      return { error: 'That Spotify URI is not valid. It should look like spotify:track:4uLU6hMCjMI75M1A2tKUQC.' };
+    }
+    return parseSpotifyReference('URI', uriMatch[1], uriMatch[2]);
+  }
+
+  if (unwrapped.length > MAX_QUERY_LENGTH) {
+    return { error: `That's too long to search for - keep it under ${MAX_QUERY_LENGTH} characters.` };
+  }
+
+  // Split on the last spaced dash: the artist rarely contains one, titles often do
+  const separators = [...unwrapped.matchAll(SEPARATOR)];
+  if (separators.length) {
+    const last = separators[separators.length - 1];
+    const title = stripQuotes(unwrapped.slice(0, last.index));
+    const artist = stripQuotes(unwrapped.slice(last.index + last[0].length));
+    if (title && artist) {
+      return { type: 'search', title, artist };
+    }
+  }
+
+  const query = stripQuotes(unwrapped.replace(SEPARATOR, ' ').replace(DANGLING_SEPARATOR, ''));
+  if (!/[\p{L}\p{N}]/u.test(query)) {
+    return { error: 'Tell me what to add: a Spotify link, "Song - Artist", or a few search words.' };
+  }
+  return { type: 'search', query };
+}
+
+/**
+ * Spotify track IDs linked in a message, in order and without repeats
+ */
+function findTrackIds(text) {
+  const ids = [...String(text || '').matchAll(TRACK_REFERENCE)].map(match => match[1]);
+  return [...new Set(ids)];
+}
+
+/**
+ * Human-readable description of a search input
+ */
+function describeSearch(parsed) {
+  return parsed.query || `${parsed.title} - ${parsed.artist}`;
+}
+
+module.exports = { parseSongInput, findTrackIds, describeSearch };
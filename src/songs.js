@@ -0,0 +1,216 @@
+const slack = require('./slack');
+const spotify = require('./spotify');
+const tokens = require('./tokens');
+const store = require('./store');
+const history = require('./history');
+const limits = require('./limits');
+const duplicates = require('./duplicates');
+const policy = require('./policy');
+const settings = require('./settings');
+const scheduler = require('./scheduler');
+const playlist = require('./playlist');
+const digest = require('./digest');
+const djs = require('./djs');
+const devices = require('./devices');
+
+// How often held fair-share requests are re-checked (seconds)
+const HELD_CHECK_SECONDS = 30;
+
+/**
+ * Queue a track for a channel and announce it
+ * Used once a request has passed the channel's checks (and for released held requests)
+ */
+async function queueTrack({ teamId, channelId, ch, track, userId, userName, botToken, announce = true }) {
+  // Add to Spotify queue
+  console.log(`Adding track to Spotify queue: ${track.uri}`);
+  await devices.withActiveDevice(teamId, channelId, ch, (accessToken) =>
+    spotify.addToQueue(track.uri, accessToken)
+  );
+
+  // Remember who queued it for /now-playing
+  await store.setTrackRequester(teamId, channelId, track.uri, {
+    userId,
+    userName,
+    requestedAt: new Date().toISOString()
+  });
+
+  await history.recordAdd(teamId, channelId, track, { userId, userName });
+  await duplicates.recordQueued(teamId, channelId, track, { userId, userName });
+  await playlist.scheduleMirror(teamId, channelId, ch, track);
+  await digest.ensureScheduled(teamId, channelId, ch);
+
+  if (!announce) return track;
+
+  // Post public message to channel (with bot token)
+  const displayName = userName || userId;
+  await slack.postMessage(
+    ch.slackChannelId,
+    `✅ ${displayName} added "${track.name}" by ${track.artists.map(a => a.name).join(', ')} to the queue!`,
+    botToken
+  );
+
+  return track;
+}
+
+function getQueue(teamId, channelId, ch) {
+  return tokens.withAccessToken(teamId, channelId, ch, (accessToken) =>
+    spotify.getQueue(accessToken)
+  );
+}
+
+// Requesters (Slack user IDs) of the tracks still waiting in the Spotify queue
+async function getUpcomingUserIds(teamId, channelId, ch, queue) {
+  if (!queue) queue = await getQueue(teamId, channelId, ch);
+  const requesters = await store.getTrackRequesters(teamId, channelId, queue.map(track => track.uri));
+  return queue.map(track => requesters[track.uri]?.userId).filter(Boolean);
+}
+
+async function scheduleHeldCheck(teamId, channelId) {
+  // One pending check per channel is enough
+  const owner = await store.acquireLock(`heldCheck:${teamId}:${channelId}`, (HELD_CHECK_SECONDS - 1) * 1000);
+  if (!owner) return;
+  await scheduler.publish('/process-held', { teamId, channelId }, HELD_CHECK_SECONDS);
+}
+
+/**
+ * Handle a user's request for a track: check the queue lock, apply the content policy,
+ * reject duplicates, enforce the quota, apply fair share, then queue it
+ * `queue` is the channel's Spotify queue when the caller already has it, otherwise it is fetched
+ * Returns { ok: false, message } when rejected, otherwise { ok: true, held, message }
+ */
+async function requestTrack({ teamId, channelId, ch, track, userId, userName, botToken, announce = true, queue }) {
+  const lockError = await djs.checkQueueLock(teamId, channelId, ch, userId);
+  if (lockError) {
+    return { ok: false, message: lockError.message };
+  }
+
+  // The policy needs full track metadata (explicit flag, duration, artist IDs)
+  if (track.id && (track.explicit === undefined || track.durationMs === undefined)) {
+    track = await tokens.withAccessToken(teamId, channelId, ch, (accessToken) =>
+      spotify.getTrack(track.id, accessToken)
+    ) || track;
+  }
+
+  const policyError = policy.checkTrack(policy.getPolicy(ch), track);
+  if (policyError) {
+    console.log(`Content policy blocked "${track.name}" in ${teamId}:${channelId} (${policyError.rule})`);
+    return { ok: false, message: policyError.message };
+  }
+
+  const duplicateError = await duplicates.checkDuplicate(teamId, channelId, ch, track, queue);
+  if (duplicateError) {
+    return { ok: false, message: duplicateError.message };
+  }
+
+  const quotaError = await limits.checkQuota(teamId, channelId, ch, userId);
+  if (quotaError) {
+    return { ok: false, message: quotaError.message };
+  }
+
+  const { fairShare } = settings.getSection(ch, 'quota');
+  if (fairShare && userId) {
+    const [upcomingUserIds, heldRequests] = await Promise.all([
+      getUpcomingUserIds(teamId, channelId, ch, queue),
+      store.getHeldRequests(teamId, channelId)
+    ]);
+
+    if (limits.shouldHold(userId, upcomingUserIds, heldRequests)) {
+      await store.pushHeldRequest(teamId, channelId, {
+        id: `${Date.now()}:${userId}`,
+        track,
+        userId,
+        userName,
+        heldAt: new Date().toISOString()
+      });
+      await limits.recordRequest(teamId, channelId, ch, userId);
+      await scheduleHeldCheck(teamId, channelId);
+
+      console.log(`Fair share: holding "${track.name}" for ${userId} in ${teamId}:${channelId}`);
+      return {
+        ok: true,
+        held: true,
+        message: `⏸️ "${track.name}" is on hold and will be queued once your earlier songs have played (fair share is on in this channel).`
+      };
+    }
+  }
+
+  await queueTrack({ teamId, channelId, ch, track, userId, userName, botToken, announce });
+  await limits.recordRequest(teamId, channelId, ch, userId);
+  return { ok: true, held: false, message: `Song added: "${track.name}" by ${track.artists.map(a => a.name).join(', ')}` };
+}
+
+/**
+ * Request several tracks (the start of an album or playlist) with a single channel announcement
+ * Each track goes through the same checks as requestTrack
+ * Returns { queued, held, rejected: [{ track, message }] }
+ */
+async function requestTracks({ teamId, channelId, ch, tracks, label, userId, userName, botToken }) {
+  const queued = [];
+  const held = [];
+  const rejected = [];
+
+  // The duplicate and fair-share checks share one queue fetch for the whole batch. Tracks
+  // queued here are added to it, so later tracks are checked against them too.
+  const needsQueue = settings.getSection(ch, 'duplicates').rejectQueued || settings.getSection(ch, 'quota').fairShare;
+  const queue = needsQueue ? await getQueue(teamId, channelId, ch) : undefined;
+
+  for (const track of tracks) {
+    const result = await requestTrack({ teamId, channelId, ch, track, userId, userName, botToken, announce: false, queue });
+    if (!result.ok) rejected.push({ track, message: result.message });
+    else if (result.held) held.push(track);
+    else {
+      queued.push(track);
+      queue?.push(track);
+    }
+  }
+
+  if (queued.length) {
+    const displayName = userName || userId;
+    const names = queued.map(track => `"${track.name}"`).join(', ');
+    await slack.postMessage(
+      ch.slackChannelId,
+      `✅ ${displayName} added ${queued.length} track${queued.length === 1 ? '' : 's'} from ${label} to the queue: ${names}`,
+      botToken
+    );
+  }
+
+  return { queued, held, rejected };
+}
+
+/**
+ * Queue held fair-share requests whose owners no longer have a track waiting
+ * Returns the number of requests still held
+ */
+async function releaseHeldRequests(teamId, channelId, ch, botToken) {
+  const held = await store.getHeldRequests(teamId, channelId);
+  if (!held.length) return 0;
+
+  const upcomingUserIds = await getUpcomingUserIds(teamId, channelId, ch);
+  const released = new Set();
+
+  held.forEach((request, index) => { request.index = index; });
+  for (const request of held) {
+    const waiting = held.filter(r => !released.has(r.id) && r.id !== request.id);
+    // A user's earlier held requests go first
+    const earlierOwnHeld = waiting.some(r => r.userId === request.userId && r.index < request.index);
+    const othersHeld = waiting.filter(r => r.userId !== request.userId);
+
+    if (earlierOwnHeld || limits.shouldHold(request.userId, upcomingUserIds, othersHeld)) {
+      continue;
+    }
+
+    await queueTrack({ teamId, channelId, ch, track: request.track, userId: request.userId, userName: request.userName, botToken });
+    await store.removeHeldRequest(teamId, channelId, request.id);
+    released.add(request.id);
+    upcomingUserIds.push(request.userId);
+    console.log(`Fair share: released "${request.track.name}" for ${request.userId}`);
+  }
+
+  const remaining = held.length - released.size;
+  if (remaining > 0) {
+    await scheduleHeldCheck(teamId, channelId);
+  }
+  return remaining;
+}
+
+module.exports = { queueTrack, requestTrack, requestTracks, releaseHeldRequests };
@@ -5,14 +5,23 @@ const CLIENT_ID = process.env.SPOTIFY_CLIENT_ID || 'fake-client-id';
 const CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET || 'fake-secret';
 const REDIRECT_URI = process.env.SPOTIFY_REDIRECT_URI || 'http://localhost:3000/spotify-callback';
 
-function generateAuthUrl(channelId) {
-  // state carries channelId so callback can associate
+// Build an Error that keeps the Spotify HTTP status (used to detect expired tokens)
+function spotifyError(message, err) {
+  const error = new Error(message);
+  error.status = err.response?.status;
+  // e.g. NO_ACTIVE_DEVICE for player calls with nothing to play on
+  error.reason = err.response?.data?.error?.reason;
+  return error;
+}
+
+function generateAuthUrl(state) {
+  // state is a signed, single-use token (see state.js) so the callback can find the channel
   const params = qs.stringify({
     client_id: CLIENT_ID,
     response_type: 'code',
     redirect_uri: REDIRECT_URI,
-    scope: 'user-modify-playback-state user-read-playback-state',
-    state: channelId
+    scope: 'user-modify-playback-state user-read-playback-state playlist-modify-public playlist-modify-private',
+    state
   });
   return `https://accounts.spotify.com/authorize?${params}`;
 }
@@ -29,39 +38,187 @@ async function exchangeCodeForToken(code) {
   return { accessToken: resp.data.access_token, refreshToken: resp.data.refresh_token, expiresAt: Date.now() + resp.data.expires_in * 1000 };
 }
 
-function parseSongText(text) {
-  // Accept formats like: Song - Artist or "Song" - "Artist" or Song -Artist
-  const parts = text.split('-');
-  if (parts.length < 2) return null;
-  const title = parts[0].trim().replace(/^"|"$/g, '');
-  const artist = parts.slice(1).join('-').trim().replace(/^"|"$/g, '');
-  if (!title || !artist) return null;
-  return { title, artist };
+async function refreshAccessToken(refreshToken) {
+  // Exchange a refresh token for a new access token
+  if (!CLIENT_ID || CLIENT_ID === 'fake-client-id' || refreshToken === 'fake-refresh') {
+    return { accessToken: 'fake-access', refreshToken: 'fake-refresh', expiresAt: Date.now() + 3600 * 1000 };
+  }
+
+  const auth = Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64');
+  const data = qs.stringify({ grant_type: 'refresh_token', refresh_token: refreshToken });
+  try {
+    const resp = await axios.post('https://accounts.spotify.com/api/token', data, { headers: { Authorization: `Basic ${auth}`, 'Content-Type': 'application/x-www-form-urlencoded' } });
+    return {
+      accessToken: resp.data.access_token,
+      // Spotify only sometimes rotates the refresh token
+      refreshToken: resp.data.refresh_token || refreshToken,
+      expiresAt: Date.now() + resp.data.expires_in * 1000
+    };
+  } catch (err) {
+    console.error('Spotify token refresh error:', err.response?.data || err.message);
+    throw spotifyError('Failed to refresh Spotify token. Please /connect again.', err);
+  }
+}
+
+// Normalize a Spotify track object to the fields the app uses
+function toTrack(item) {
+  return {
+    id: item.id,
+    uri: item.uri,
+    name: item.name,
+    artists: item.artists,
+    album: item.album ? { name: item.album.name, images: item.album.images || [] } : null,
+    durationMs: item.duration_ms,
+    explicit: !!item.explicit
+  };
+}
+
+// Spotify search query for { title, artist } or free-text { query }
+function buildSearchQuery(search) {
+  if (search.query) return search.query;
+  return `track:${search.title} artist:${search.artist}`;
 }
 
-async function searchTrack(title, artist, accessToken) {
-  // Search for a track on Spotify
+async function searchTracks(search, accessToken, limit = 5) {
+  // Search for the top matching tracks on Spotify
   if (!accessToken || accessToken === 'fake-access') {
-    console.log(`Mock Spotify search: ${title} - ${artist}`);
-    return { uri: 'spotify:track:mock123', name: title, artists: [{ name: artist }] };
+    console.log(`Mock Spotify search: ${buildSearchQuery(search)}`);
+    return [{
+      id: 'mock123',
+      uri: 'spotify:track:mock123',
+      name: search.title || search.query,
+      artists: [{ id: 'mockartist', name: search.artist || 'Mock Artist' }],
+      album: { name: 'Mock Album', images: [] },
+      durationMs: 180000,
+      explicit: false
+    }];
   }
 
   try {
-    const query = `track:${title} artist:${artist}`;
     const resp = await axios.get('https://api.spotify.com/v1/search', {
-      params: { q: query, type: 'track', limit: 1 },
+      params: { q: buildSearchQuery(search), type: 'track', limit },
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+
+    return resp.data.tracks.items.map(toTrack);
+  } catch (err) {
+    console.error('Spotify search error:', err.response?.data || err.message);
+    throw spotifyError('Failed to search Spotify', err);
+  }
+}
+
+async function searchTrack(search, accessToken) {
+  // Search for the single best matching track on Spotify
+  const tracks = await searchTracks(search, accessToken, 1);
+  return tracks[0] || null;
+}
+
+async function getTrack(trackId, accessToken) {
+  // Look up a single track by its Spotify ID
+  if (!accessToken || accessToken === 'fake-access') {
+    console.log(`Mock Spotify get track: ${trackId}`);
+    return {
+      id: trackId,
+      uri: `spotify:track:${trackId}`,
+      name: 'Mock Song',
+      artists: [{ id: 'mockartist', name: 'Mock Artist' }],
+      album: { name: 'Mock Album', images: [] },
+      durationMs: 180000,
+      explicit: false
+    };
+  }
+
+  try {
+    const resp = await axios.get(`https://api.spotify.com/v1/tracks/${encodeURIComponent(trackId)}`, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    return toTrack(resp.data);
+  } catch (err) {
+    if (err.response?.status === 404 || err.response?.status === 400) {
+      return null;
+    }
+    console.error('Spotify get track error:', err.response?.data || err.message);
+    throw spotifyError('Failed to look up track on Spotify', err);
+  }
+}
+
+function mockCollection(kind, id, limit) {
+  console.log(`Mock Spotify get ${kind} tracks: ${id}`);
+  return Array.from({ length: Math.min(limit, 3) }, (_, i) => ({
+    id: `mock${kind}${i}`,
+    uri: `spotify:track:mock${kind}${i}`,
+    name: `Mock ${kind} track ${i + 1}`,
+    artists: [{ id: 'mockartist', name: 'Mock Artist' }],
+    album: null,
+    durationMs: 180000,
+    explicit: false
+  }));
+}
+
+async function getAlbumTracks(albumId, accessToken, limit) {
+  // First `limit` tracks of an album, in album order (null if the album doesn't exist)
+  if (!accessToken || accessToken === 'fake-access') {
+    return mockCollection('album', albumId, limit);
+  }
+
+  try {
+    const resp = await axios.get(`https://api.spotify.com/v1/albums/${encodeURIComponent(albumId)}/tracks`, {
+      params: { limit },
       headers: { Authorization: `Bearer ${accessToken}` }
     });
+    return resp.data.items.filter(item => item && item.is_playable !== false).map(toTrack);
+  } catch (err) {
+    if (err.response?.status === 404 || err.response?.status === 400) {
+      return null;
+    }
+    console.error('Spotify get album tracks error:', err.response?.data || err.message);
+    throw spotifyError('Failed to get album from Spotify', err);
+  }
+}
 
-    if (resp.data.tracks.items.length > 0) {
-      const track = resp.data.tracks.items[0];
-      return { uri: track.uri, name: track.name, artists: track.artists };
+async function getPlaylistTracks(playlistId, accessToken, limit) {
+  // First `limit` tracks of a playlist, skipping episodes and local files (null if not found)
+  if (!accessToken || accessToken === 'fake-access') {
+    return mockCollection('playlist', playlistId, limit);
+  }
+
+  try {
+    const resp = await axios.get(`https://api.spotify.com/v1/playlists/${encodeURIComponent(playlistId)}/tracks`, {
+      params: { limit: Math.min(limit * 2, 100) },
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    return resp.data.items
+      .map(item => item.track)
+      .filter(track => track && track.type === 'track' && !track.is_local)
+      .slice(0, limit)
+      .map(toTrack);
+  } catch (err) {
+    if (err.response?.status === 404 || err.response?.status === 400) {
+      return null;
     }
+    console.error('Spotify get playlist tracks error:', err.response?.data || err.message);
+    throw spotifyError('Failed to get playlist from Spotify', err);
+  }
+}
+
+async function searchArtist(name, accessToken) {
+  // Find the best matching artist by name
+  if (!accessToken || accessToken === 'fake-access') {
+    console.log(`Mock Spotify artist search: ${name}`);
+    return { id: `mock-${name.toLowerCase().replace(/\s+/g, '-')}`, name };
+  }
+
+  try {
+    const resp = await axios.get('https://api.spotify.com/v1/search', {
+      params: { q: name, type: 'artist', limit: 1 },
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
 
-    return null;
+    const artist = resp.data.artists.items[0];
+    return artist ? { id: artist.id, name: artist.name } : null;
   } catch (err) {
-    console.error('Spotify search error:', err.response?.data || err.message);
-    throw new Error('Failed to search Spotify');
+    console.error('Spotify artist search error:', err.response?.data || err.message);
+    throw spotifyError('Failed to search Spotify', err);
   }
 }
 
@@ -80,7 +237,7 @@ async function addToQueue(trackUri, accessToken) {
     return { success: true };
   } catch (err) {
     console.error('Spotify add to queue error:', err.response?.data || err.message);
-    throw new Error('Failed to add to Spotify queue: ' + (err.response?.data?.error?.message || err.message));
+    throw spotifyError('Failed to add to Spotify queue: ' + (err.response?.data?.error?.message || err.message), err);
   }
 }
 
@@ -98,16 +255,177 @@ async function skipTrack(accessToken) {
     return { success: true };
   } catch (err) {
     console.error('Spotify skip track error:', err.response?.data || err.message);
+    // An expired token must surface so it can be refreshed
+    if (err.response?.status === 401) {
+      throw spotifyError('Spotify token expired', err);
+    }
+    // So is a missing device, so the channel's preferred device can be tried (see devices.js)
+    if (err.response?.data?.error?.reason === 'NO_ACTIVE_DEVICE') {
+      throw spotifyError('No active Spotify device', err);
+    }
     // Don't throw - skipping might fail if nothing is playing
     return { success: false, error: err.message };
   }
 }
 
+// Simple /me/player commands share one request helper
+async function playerCommand(method, path, params, accessToken, description) {
+  if (!accessToken || accessToken === 'fake-access') {
+    console.log(`Mock Spotify ${description}`, params || '');
+    return { success: true };
+  }
+
+  try {
+    await axios({
+      method,
+      url: `https://api.spotify.com/v1/me/player/${path}`,
+      params,
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    return { success: true };
+  } catch (err) {
+    console.error(`Spotify ${description} error:`, err.response?.data || err.message);
+    throw spotifyError(`Failed to ${description}: ` + (err.response?.data?.error?.message || err.message), err);
+  }
+}
+
+async function pausePlayback(accessToken) {
+  return playerCommand('put', 'pause', null, accessToken, 'pause playback');
+}
+
+async function resumePlayback(accessToken) {
+  return playerCommand('put', 'play', null, accessToken, 'resume playback');
+}
+
+async function previousTrack(accessToken) {
+  return playerCommand('post', 'previous', null, accessToken, 'go to the previous track');
+}
+
+async function setVolume(volumePercent, accessToken) {
+  return playerCommand('put', 'volume', { volume_percent: volumePercent }, accessToken, 'set volume');
+}
+
+async function getDevices(accessToken) {
+  // Spotify Connect devices the connected account can play on
+  if (!accessToken || accessToken === 'fake-access') {
+    console.log('Mock Spotify get devices');
+    return [
+      { id: 'mock-speaker', name: 'Office Speaker', type: 'Speaker', isActive: false, isRestricted: false, volumePercent: 60 },
+      { id: 'mock-laptop', name: 'Mock Laptop', type: 'Computer', isActive: true, isRestricted: false, volumePercent: 80 }
+    ];
+  }
+
+  try {
+    const resp = await axios.get('https://api.spotify.com/v1/me/player/devices', {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    return (resp.data.devices || []).map(device => ({
+      id: device.id,
+      name: device.name,
+      type: device.type,
+      isActive: device.is_active,
+      isRestricted: device.is_restricted,
+      volumePercent: device.volume_percent
+    }));
+  } catch (err) {
+    console.error('Spotify get devices error:', err.response?.data || err.message);
+    throw spotifyError('Failed to get Spotify devices', err);
+  }
+}
+
+async function transferPlayback(deviceId, accessToken, play = false) {
+  // Move playback to a device (play: false keeps the current play/pause state)
+  if (!accessToken || accessToken === 'fake-access') {
+    console.log(`Mock Spotify transfer playback: ${deviceId}`);
+    return { success: true };
+  }
+
+  try {
+    await axios.put('https://api.spotify.com/v1/me/player', { device_ids: [deviceId], play }, {
+      headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' }
+    });
+    return { success: true };
+  } catch (err) {
+    console.error('Spotify transfer playback error:', err.response?.data || err.message);
+    throw spotifyError('Failed to transfer playback: ' + (err.response?.data?.error?.message || err.message), err);
+  }
+}
+
+async function getCurrentUserId(accessToken) {
+  // Spotify user ID of the connected account
+  if (!accessToken || accessToken === 'fake-access') {
+    return 'mock-user';
+  }
+
+  try {
+    const resp = await axios.get('https://api.spotify.com/v1/me', {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    return resp.data.id;
+  } catch (err) {
+    console.error('Spotify get current user error:', err.response?.data || err.message);
+    throw spotifyError('Failed to get Spotify account', err);
+  }
+}
+
+async function createPlaylist(userId, name, description, accessToken) {
+  // Create a private playlist owned by the connected account - channel names and requests
+  // (possibly from private channels) must not show up on the account's public profile
+  if (!accessToken || accessToken === 'fake-access') {
+    console.log(`Mock Spotify create playlist: ${name}`);
+    return { id: 'mockplaylist', uri: 'spotify:playlist:mockplaylist', name, url: 'https://open.spotify.com/playlist/mockplaylist' };
+  }
+
+  try {
+    const resp = await axios.post(`https://api.spotify.com/v1/users/${encodeURIComponent(userId)}/playlists`, {
+      name,
+      description,
+      public: false
+    }, {
+      headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' }
+    });
+    return { id: resp.data.id, uri: resp.data.uri, name: resp.data.name, url: resp.data.external_urls?.spotify };
+  } catch (err) {
+    console.error('Spotify create playlist error:', err.response?.data || err.message);
+    throw spotifyError('Failed to create Spotify playlist: ' + (err.response?.data?.error?.message || err.message), err);
+  }
+}
+
+async function addTracksToPlaylist(playlistId, trackUris, accessToken) {
+  // Append tracks to the end of a playlist (up to 100 per call)
+  if (!accessToken || accessToken === 'fake-access') {
+    console.log(`Mock Spotify add to playlist ${playlistId}: ${trackUris.join(', ')}`);
+    return { success: true };
+  }
+
+  try {
+    await axios.post(`https://api.spotify.com/v1/playlists/${encodeURIComponent(playlistId)}/tracks`, {
+      uris: trackUris
+    }, {
+      headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' }
+    });
+    return { success: true };
+  } catch (err) {
+    console.error('Spotify add to playlist error:', err.response?.data || err.message);
+    throw spotifyError('Failed to add to Spotify playlist: ' + (err.response?.data?.error?.message || err.message), err);
+  }
+}
+
 async function getCurrentlyPlayingTrack(accessToken) {
   // Get the currently playing track
   if (!accessToken || accessToken === 'fake-access') {
     console.log('Mock Spotify get currently playing');
-    return { trackName: 'Mock Song', artistName: 'Mock Artist', trackId: 'mock123' };
+    return {
+      trackId: 'mock123',
+      trackUri: 'spotify:track:mock123',
+      trackName: 'Mock Song',
+      artistName: 'Mock Artist',
+      albumName: 'Mock Album',
+      albumArtUrl: null,
+      isPlaying: true,
+      progressMs: 60000,
+      durationMs: 180000
+    };
   }
 
   try {
@@ -122,8 +440,11 @@ async function getCurrentlyPlayingTrack(accessToken) {
 
     return {
       trackId: resp.data.item.id,
+      trackUri: resp.data.item.uri,
       trackName: resp.data.item.name,
       artistName: resp.data.item.artists.map(a => a.name).join(', '),
+      albumName: resp.data.item.album?.name,
+      albumArtUrl: resp.data.item.album?.images?.[0]?.url || null,
       isPlaying: resp.data.is_playing,
       progressMs: resp.data.progress_ms,
       durationMs: resp.data.item.duration_ms
@@ -133,9 +454,37 @@ async function getCurrentlyPlayingTrack(accessToken) {
       return null;
     }
     console.error('Spotify get currently playing error:', err.response?.data || err.message);
-    throw new Error('Failed to get currently playing track');
+    throw spotifyError('Failed to get currently playing track', err);
+  }
+}
+
+async function getQueue(accessToken) {
+  // Get the upcoming tracks in the user's playback queue
+  if (!accessToken || accessToken === 'fake-access') {
+    console.log('Mock Spotify get queue');
+    return [{
+      id: 'mock456',
+      uri: 'spotify:track:mock456',
+      name: 'Mock Next Song',
+      artists: [{ name: 'Mock Artist' }],
+      album: { name: 'Mock Album', images: [] },
+      durationMs: 200000,
+      explicit: false
+    }];
+  }
+
+  try {
+    const resp = await axios.get('https://api.spotify.com/v1/me/player/queue', {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+
+    // Podcast episodes can show up in the queue too - keep tracks only
+    return (resp.data?.queue || []).filter(item => item && item.type === 'track').map(toTrack);
+  } catch (err) {
+    console.error('Spotify get queue error:', err.response?.data || err.message);
+    throw spotifyError('Failed to get Spotify queue', err);
   }
 }
 
-module.exports = { generateAuthUrl, exchangeCodeForToken, parseSongText, searchTrack, addToQueue, skipTrack, getCurrentlyPlayingTrack };
+module.exports = { generateAuthUrl, exchangeCodeForToken, refreshAccessToken, searchTracks, searchTrack, getTrack, getAlbumTracks, getPlaylistTracks, searchArtist, addToQueue, skipTrack, pausePlayback, resumePlayback, previousTrack, setVolume, getDevices, transferPlayback, getCurrentUserId, createPlaylist, addTracksToPlaylist, getCurrentlyPlayingTrack, getQueue };
 
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const store = require('./store');
+
+/**
+ * Signed, single-use OAuth state for the Spotify connect flow
+ *
+ * The state sent to Spotify is `{nonce}.{signature}`. The nonce points at a
+ * short-lived stored record holding the team, channel and Slack user that
+ * started the flow, and is deleted the first time it is consumed.
+ */
+
+const STATE_SECRET = process.env.OAUTH_STATE_SECRET || process.env.SPOTIFY_CLIENT_SECRET || 'fake-secret';
+
+// How long a user has to finish the Spotify authorization (10 minutes)
+const STATE_TTL = 60 * 10;
+
+function sign(nonce) {
+  return crypto.createHmac('sha256', STATE_SECRET).update(nonce).digest('base64url');
+}
+
+/**
+ * Create and store a new state for a connect request
+ */
+async function createState({ teamId, channelId, userId, userName }) {
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  await store.setOAuthState(nonce, {
+    teamId,
+    channelId,
+    userId,
+    userName,
+    createdAt: new Date().toISOString()
+  }, STATE_TTL);
+  return `${nonce}.${sign(nonce)}`;
+}
+
+/**
+ * Verify and consume a state returned by Spotify
+ * Returns the stored record, or null if the state is forged, expired or already used
+ */
+async function consumeState(state) {
+  if (typeof state !== 'string') return null;
+
+  const [nonce, signature] = state.split('.');
+  if (!nonce || !signature) return null;
+
+  const expected = Buffer.from(sign(nonce));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    console.error('OAuth state signature mismatch');
+    return null;
+  }
+
+  return store.consumeOAuthState(nonce);
+}
+
+module.exports = { createState, consumeState, STATE_TTL };
@@ -0,0 +1,123 @@
+const { createMemoryStore } = require('./memoryStore');
+const secrets = require('./secrets');
+
+/**
+ * Storage for channels, teams, channel-to-team mappings, skip votes and vote sets,
+ * plus the short-lived records built on them (locks, replay markers, quotas, history)
+ *
+ * Backends (STORE_BACKEND) implement the same operations - redis.js documents the key layout:
+ * - redis: Redis via REDIS_URL (default when REDIS_URL is set) - required on serverless platforms
+ * - memory: in-process maps with the same expiry rules (default otherwise) - for src/index.js,
+ *   local development and tests. Data is lost when the process exits, so it refuses to start
+ *   on Vercel.
+ *
+ * Slack bot tokens and Spotify tokens are encrypted before they reach the backend and
+ * decrypted on the way out (see secrets.js), so callers only ever see plaintext.
+ */
+
+const TEAM_TOKEN_FIELDS = ['botToken'];
+const SPOTIFY_TOKEN_FIELDS = ['accessToken', 'refreshToken'];
+
+function createBackend() {
+  const configured = process.env.STORE_BACKEND || (process.env.REDIS_URL ? 'redis' : 'memory');
+
+  if (configured === 'redis') {
+    // Required here so the memory backend never loads (or connects) ioredis
+    return require('./redis');
+  }
+  if (configured === 'memory') {
+    // Each serverless invocation may get a fresh process - data would vanish between requests
+    if (process.env.VERCEL) {
+      throw new Error('The memory store does not work on Vercel - set REDIS_URL (or STORE_BACKEND=redis)');
+    }
+    return createMemoryStore();
+  }
+  throw new Error(`Unknown STORE_BACKEND: ${configured}`);
+}
+
+function sealTeam(teamId, team) {
+  return secrets.seal(team, TEAM_TOKEN_FIELDS, `team:${teamId}`);
+}
+
+function openTeam(teamId, team) {
+  return secrets.open(team, TEAM_TOKEN_FIELDS, `team:${teamId}`);
+}
+
+function sealChannel(teamId, channelId, ch) {
+  if (!ch?.spotify) return ch;
+  return { ...ch, spotify: secrets.seal(ch.spotify, SPOTIFY_TOKEN_FIELDS, `channel:${teamId}:${channelId}`) };
+}
+
+function openChannel(teamId, channelId, ch) {
+  if (!ch?.spotify) return ch;
+  return { ...ch, spotify: secrets.open(ch.spotify, SPOTIFY_TOKEN_FIELDS, `channel:${teamId}:${channelId}`) };
+}
+
+const backend = createBackend();
+console.log('Store backend:', backend.name);
+
+// Backend operations that read or write tokens are wrapped; the rest (including
+// updateChannel, which goes through getChannel/setChannel) are used as they are
+const store = {
+  ...backend,
+
+  async getChannel(teamId, channelId) {
+    return openChannel(teamId, channelId, await backend.getChannel(teamId, channelId));
+  },
+
+  async setChannel(teamId, channelId, data) {
+    await backend.setChannel(teamId, channelId, sealChannel(teamId, channelId, data));
+  },
+
+  async getChannels(teamId, channelIds) {
+    const channels = await backend.getChannels(teamId, channelIds);
+    return channels.map((ch, i) => openChannel(teamId, channelIds[i], ch));
+  },
+
+  async storeTeamToken(teamId, tokenData) {
+    await backend.storeTeamToken(teamId, sealTeam(teamId, tokenData));
+  },
+
+  async getTeamToken(teamId) {
+    return openTeam(teamId, await backend.getTeamToken(teamId));
+  },
+
+  async getTeams(teamIds) {
+    const teams = await backend.getTeams(teamIds);
+    return teams.map((team, i) => openTeam(teamIds[i], team));
+  },
+
+  /**
+   * Rewrite team and channel records that are in plaintext or sealed with an older key
+   * using the current key (see secrets.js). Safe to run while the app is serving requests:
+   * each record is re-read right before it is rewritten, and older keys stay readable.
+   * Returns the number of records rewritten
+   */
+  async reencryptTokens() {
+    if (secrets.currentVersion === null) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS is not configured');
+    }
+
+    const counts = { teams: 0, channels: 0 };
+    for (const teamId of await backend.getTeamIds()) {
+      const team = await backend.getTeamToken(teamId);
+      if (secrets.needsReencryption(team)) {
+        await this.storeTeamToken(teamId, openTeam(teamId, team));
+        counts.teams++;
+      }
+
+      for (const channelId of await backend.getTeamChannelIds(teamId)) {
+        const ch = await backend.getChannel(teamId, channelId);
+        if (secrets.needsReencryption(ch?.spotify)) {
+          // Only the tokens are rewritten - a refresh racing with this is caught by the
+          // 401 retry in tokens.withAccessToken
+          await this.updateChannel(teamId, channelId, { spotify: openChannel(teamId, channelId, ch).spotify });
+          counts.channels++;
+        }
+      }
+    }
+    return counts;
+  }
+};
+
+module.exports = store;
@@ -0,0 +1,112 @@
+const spotify = require('./spotify');
+const store = require('./store');
+
+/**
+ * Spotify access-token manager
+ * Refreshes a channel's token before it expires, retries once on 401,
+ * and makes sure only one request refreshes a given token at a time
+ */
+
+// Refresh tokens this close to expiry (1 minute)
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// How long a refresh lock is held, and how long other requests wait for it
+const REFRESH_LOCK_TTL_MS = 10 * 1000;
+const REFRESH_WAIT_MS = 5 * 1000;
+const REFRESH_POLL_MS = 250;
+
+// In-flight refreshes in this process, keyed by team:channel
+const pendingRefreshes = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isExpiring(token) {
+  return !token.expiresAt || token.expiresAt - Date.now() <= EXPIRY_MARGIN_MS;
+}
+
+function isSameToken(a, b) {
+  return a.accessToken === b.accessToken && a.expiresAt === b.expiresAt;
+}
+
+async function doRefresh(teamId, channelId, staleToken) {
+  const lockName = `spotifyRefresh:${teamId}:${channelId}`;
+  const owner = await store.acquireLock(lockName, REFRESH_LOCK_TTL_MS);
+
+  if (!owner) {
+    // Another instance is refreshing - wait for it to write the new token back
+    console.log(`Waiting for concurrent Spotify token refresh for ${teamId}:${channelId}`);
+    const deadline = Date.now() + REFRESH_WAIT_MS;
+    while (Date.now() < deadline) {
+      await sleep(REFRESH_POLL_MS);
+      const ch = await store.getChannel(teamId, channelId);
+      if (ch?.spotify && !isSameToken(ch.spotify, staleToken)) {
+        return ch.spotify;
+      }
+    }
+    throw new Error('Timed out waiting for Spotify token refresh');
+  }
+
+  try {
+    // Re-read in case the token was refreshed between our read and the lock
+    const ch = await store.getChannel(teamId, channelId);
+    const current = ch?.spotify || staleToken;
+    if (!isSameToken(current, staleToken)) {
+      return current;
+    }
+
+    console.log(`Refreshing Spotify token for ${teamId}:${channelId}`);
+    const refreshed = await spotify.refreshAccessToken(current.refreshToken);
+    const token = { ...current, ...refreshed };
+    await store.updateChannel(teamId, channelId, { spotify: token });
+    return token;
+  } finally {
+    await store.releaseLock(lockName, owner);
+  }
+}
+
+/**
+ * Refresh the channel's Spotify token, sharing one refresh between
+ * concurrent callers in this process
+ */
+async function refreshToken(teamId, channelId, staleToken) {
+  const key = `${teamId}:${channelId}`;
+  if (!pendingRefreshes.has(key)) {
+    const promise = doRefresh(teamId, channelId, staleToken)
+      .finally(() => pendingRefreshes.delete(key));
+    pendingRefreshes.set(key, promise);
+  }
+  return pendingRefreshes.get(key);
+}
+
+/**
+ * Get a usable access token for a channel, refreshing it if expired or about to expire
+ */
+async function getAccessToken(teamId, channelId, ch) {
+  if (!ch || !ch.spotify) {
+    throw new Error('Channel is not connected to Spotify. Use /connect first.');
+  }
+
+  if (isExpiring(ch.spotify)) {
+    ch.spotify = await refreshToken(teamId, channelId, ch.spotify);
+  }
+  return ch.spotify.accessToken;
+}
+
+/**
+ * Run a Spotify call with a fresh token, retrying once with a refreshed token on 401
+ */
+async function withAccessToken(teamId, channelId, ch, fn) {
+  const accessToken = await getAccessToken(teamId, channelId, ch);
+
+  try {
+    return await fn(accessToken);
+  } catch (err) {
+    if (err.status !== 401) throw err;
+
+    console.log(`Spotify returned 401 for ${teamId}:${channelId}, refreshing token and retrying`);
+    ch.spotify = await refreshToken(teamId, channelId, ch.spotify);
+    return fn(ch.spotify.accessToken);
+  }
+}
+
+module.exports = { getAccessToken, withAccessToken };
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const store = require('./store');
+
+/**
+ * Request verification: Slack request signatures and the admin API token
+ * https://api.slack.com/authentication/verifying-requests-from-slack
+ */
+
+const SLACK_SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET;
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+
+// Unsigned Slack requests are only accepted outside production, for local development
+const ALLOW_UNSIGNED_SLACK_REQUESTS = process.env.NODE_ENV !== 'production';
+
+// Requests older than this are rejected as possible replays (Slack recommends 5 minutes)
+const MAX_REQUEST_AGE_SECONDS = 60 * 5;
+
+console.log('Slack signing secret set:', !!SLACK_SIGNING_SECRET);
+console.log('Admin API token set:', !!ADMIN_API_TOKEN);
+
+/**
+ * body-parser `verify` hook - keeps the raw request bytes so the signature
+ * can be computed over exactly what Slack sent
+ */
+function captureRawBody(req, res, buf) {
+  if (buf && buf.length) {
+    req.rawBody = buf.toString('utf8');
+  }
+}
+
+// Fall back to a pre-buffered body (serverless-http sets req.body to a Buffer)
+function getRawBody(req) {
+  if (typeof req.rawBody === 'string') return req.rawBody;
+  if (Buffer.isBuffer(req.body)) return req.body.toString('utf8');
+  if (typeof req.body === 'string') return req.body;
+  return '';
+}
+
+/**
+ * Compute the expected v0 signature and compare in constant time
+ */
+function isValidSignature(signingSecret, timestamp, rawBody, signature) {
+  const expected = 'v0=' + crypto
+    .createHmac('sha256', signingSecret)
+    .update(`v0:${timestamp}:${rawBody}`)
+    .digest('hex');
+
+  const expectedBuf = Buffer.from(expected, 'utf8');
+  const actualBuf = Buffer.from(signature, 'utf8');
+  if (expectedBuf.length !== actualBuf.length) return false;
+  return crypto.timingSafeEqual(expectedBuf, actualBuf);
+}
+
+/**
+ * Express middleware rejecting requests that were not signed by Slack
+ */
+async function verifySlackRequest(req, res, next) {
+  if (!SLACK_SIGNING_SECRET) {
+    if (!ALLOW_UNSIGNED_SLACK_REQUESTS) {
+      console.error('Slack request rejected - SLACK_SIGNING_SECRET not configured');
+      return res.status(500).send('Server misconfigured: SLACK_SIGNING_SECRET not set');
+    }
+    console.warn('Slack signature verification skipped - SLACK_SIGNING_SECRET not configured (NODE_ENV is not production)');
+    return next();
+  }
+
+  const signature = req.headers['x-slack-signature'];
+  const timestamp = req.headers['x-slack-request-timestamp'];
+
+  if (!signature || !timestamp) {
+    console.error('Missing Slack signature headers');
+    return res.status(401).send('Unauthorized: Missing signature');
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (!Number.isFinite(age) || age > MAX_REQUEST_AGE_SECONDS) {
+    console.error(`Stale Slack request rejected (timestamp ${timestamp})`);
+    return res.status(401).send('Unauthorized: Request too old');
+  }
+
+  if (!isValidSignature(SLACK_SIGNING_SECRET, timestamp, getRawBody(req), signature)) {
+    console.error('Invalid Slack signature');
+    return res.status(401).send('Unauthorized: Invalid signature');
+  }
+
+  try {
+    // A valid signature can only be used once within the allowed window
+    const firstSeen = await store.markRequestSeen(signature, MAX_REQUEST_AGE_SECONDS);
+    if (!firstSeen) {
+      console.error('Replayed Slack request rejected');
+      return res.status(401).send('Unauthorized: Replayed request');
+    }
+  } catch (err) {
+    console.error('Failed to check Slack request replay:', err.message);
+    return res.status(500).send('Failed to verify request');
+  }
+
+  next();
+}
+
+/**
+ * Express middleware for our own HTTP APIs (e.g. history export)
+ * Expects `Authorization: Bearer <ADMIN_API_TOKEN>`; disabled when no token is configured
+ */
+function verifyAdminToken(req, res, next) {
+  if (!ADMIN_API_TOKEN) {
+    return res.status(503).json({ error: 'API disabled - ADMIN_API_TOKEN not configured' });
+  }
+
+  const header = req.headers.authorization || '';
+  const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''), 'utf8');
+  const expected = Buffer.from(ADMIN_API_TOKEN, 'utf8');
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+module.exports = { captureRawBody, isValidSignature, verifySlackRequest, verifyAdminToken };
@@ -0,0 +1,208 @@
+const slack = require('./slack');
+const store = require('./store');
+const history = require('./history');
+const settings = require('./settings');
+const scheduler = require('./scheduler');
+const playback = require('./playback');
+
+/**
+ * Skip vote helpers shared by /skip, button clicks and emoji reactions
+ * The same flow decides the other playback actions (see playback.js) when a channel
+ * requires a vote for them
+ */
+
+const VOTE_UP = 'up';
+const VOTE_DOWN = 'down';
+
+// DJ decisions on an open vote (see resolveVote)
+const DJ_SKIP = 'skip';
+const DJ_KEEP = 'keep';
+const DJ_CANCEL = 'cancel';
+
+/**
+ * Start a vote on a playback action (skip by default): post the vote message, store it,
+ * and schedule /process-skip for when the window closes
+ * Returns the stored vote
+ */
+async function startVote({ teamId, channelId, ch, currentTrack, userId, userName, botToken, action = 'skip', volumePercent }) {
+  // Per-channel voting rules (see /playlift config)
+  const policy = settings.getSection(ch, 'skipVote');
+
+  const skipId = Date.now().toString();
+  const skipVote = {
+    id: skipId,
+    action,
+    ...(volumePercent !== undefined ? { volumePercent } : {}),
+    trackId: currentTrack.trackId,
+    trackUri: currentTrack.trackUri,
+    trackName: currentTrack.trackName,
+    artistName: currentTrack.artistName,
+    requestedBy: userName || userId,
+    requestedById: userId,
+    windowSeconds: policy.windowSeconds,
+    // Snapshot the rules so config changes don't affect votes already open
+    policy,
+    messageTs: null,
+    resolved: false
+  };
+
+  // Post vote message with Keep/Change buttons to Slack (with bot token)
+  const message = await slack.postSkipVoteMessage(ch.slackChannelId, skipVote, botToken);
+
+  skipVote.messageTs = message.ts;
+
+  // Store it with empty vote sets (or the requester's automatic vote for the change)
+  await store.setSkipVote(teamId, channelId, skipId, {
+    ...skipVote,
+    thumbsUpUsers: new Set(),
+    thumbsDownUsers: new Set(policy.requesterVotesSkip && userId ? [userId] : [])
+  });
+
+  if (policy.requesterVotesSkip && userId) {
+    await refreshTally(teamId, channelId, skipId, botToken);
+  }
+
+  console.log(`${playback.getAction(skipVote).title(skipVote)} vote initiated for "${skipVote.trackName}" by ${skipVote.requestedBy}. Scheduled to process in ${policy.windowSeconds} seconds.`);
+
+  // Schedule a job to process the vote when the window closes
+  await scheduler.publish('/process-skip', { channelId, skipId, teamId }, policy.windowSeconds);
+
+  return skipVote;
+}
+
+/**
+ * Record a user's vote (replacing any previous vote) and refresh the tally on the message
+ */
+async function castVote(teamId, channelId, skipVote, userId, choice, botToken) {
+  if (choice === VOTE_UP) {
+    await store.addThumbsUp(teamId, skipVote.id, userId);
+  } else {
+    await store.addThumbsDown(teamId, skipVote.id, userId);
+  }
+  return refreshTally(teamId, channelId, skipVote.id, botToken);
+}
+
+/**
+ * Withdraw a user's vote (reaction removed) and refresh the tally on the message
+ */
+async function withdrawVote(teamId, channelId, skipVote, userId, choice, botToken) {
+  if (choice === VOTE_UP) {
+    await store.removeThumbsUp(teamId, skipVote.id, userId);
+  } else {
+    await store.removeThumbsDown(teamId, skipVote.id, userId);
+  }
+  return refreshTally(teamId, channelId, skipVote.id, botToken);
+}
+
+async function refreshTally(teamId, channelId, skipId, botToken) {
+  const updatedVote = await store.getSkipVote(teamId, channelId, skipId);
+  if (!updatedVote) return null;
+
+  console.log(`Skip vote count: 👍 ${updatedVote.thumbsUpUsers.size} unique users, 👎 ${updatedVote.thumbsDownUsers.size} unique users`);
+
+  try {
+    await slack.updateSkipVoteMessage(channelId, updatedVote, botToken);
+  } catch (err) {
+    // The vote itself is stored - a stale tally is not worth failing the request
+    console.error('Failed to update skip vote message:', err.message);
+  }
+  return updatedVote;
+}
+
+/**
+ * Decide a vote's outcome from its tally and the channel's skip-vote policy
+ * (see the `skipVote` section in settings.js)
+ */
+function decideOutcome(skipVote, policy) {
+  const keepCount = skipVote.thumbsUpUsers.size;
+  const skipCount = skipVote.thumbsDownUsers.size;
+  const total = keepCount + skipCount;
+
+  if (total < policy.quorum) {
+    return { skip: false, keepCount, skipCount, reason: `not enough votes (${total} of ${policy.quorum} needed)` };
+  }
+
+  const skipShare = total ? (skipCount / total) * 100 : 0;
+  return {
+    skip: skipShare > policy.thresholdPercent,
+    keepCount,
+    skipCount,
+    reason: `${Math.round(skipShare)}% voted to ${playback.getAction(skipVote).verb} (more than ${policy.thresholdPercent}% needed)`
+  };
+}
+
+/**
+ * Close a vote: decide the outcome (or apply a DJ's decision), run the action if it passed,
+ * record skip votes in history and show the result on the vote message
+ *
+ * `override` is { decision: DJ_SKIP | DJ_KEEP | DJ_CANCEL, userId } when a DJ settles the vote.
+ * Returns the result text, or null when the vote is already being resolved elsewhere.
+ */
+async function resolveVote(teamId, channelId, ch, skipVote, botToken, override) {
+  // The scheduled job and a DJ can race to close the same vote
+  const lockName = `resolveSkipVote:${teamId}:${skipVote.id}`;
+  const owner = await store.acquireLock(lockName, 30 * 1000);
+  if (!owner) return null;
+
+  try {
+    // Re-read under the lock: the vote may have just been closed, and the tally may have changed
+    const current = await store.getSkipVote(teamId, channelId, skipVote.id);
+    if (!current || current.resolved) return null;
+
+    const keepCount = current.thumbsUpUsers.size;
+    const skipCount = current.thumbsDownUsers.size;
+    const tally = `(👍 ${keepCount} vs 👎 ${skipCount})`;
+
+    console.log(`Skip vote completed. Final count: 👍 ${keepCount} (${Array.from(current.thumbsUpUsers).join(', ')}) 👎 ${skipCount} (${Array.from(current.thumbsDownUsers).join(', ')})`);
+
+    let outcome;
+    if (override) {
+      const dj = `<@${override.userId}>`;
+      outcome = override.decision === DJ_CANCEL
+        ? { skip: false, keepCount, skipCount, reason: `vote cancelled by DJ ${dj}`, cancelled: true }
+        : { skip: override.decision === DJ_SKIP, keepCount, skipCount, reason: `DJ ${dj} overrode the vote` };
+    } else {
+      // Decide result using the rules captured when the vote started
+      const policy = current.policy || settings.getSection(ch, 'skipVote');
+      outcome = decideOutcome(current, policy);
+    }
+
+    const action = playback.getAction(current);
+    const isSkip = action === playback.PLAYBACK_ACTIONS.skip;
+
+    let resultMessage;
+    if (outcome.cancelled) {
+      resultMessage = isSkip
+        ? `🚫 DJ <@${override.userId}> cancelled the skip vote - "${current.trackName}" keeps playing. ${tally}`
+        : `🚫 DJ <@${override.userId}> cancelled the vote - nothing changed. ${tally}`;
+    } else if (!outcome.skip) {
+      resultMessage = isSkip
+        ? `🎵 The song was saved! "${current.trackName}" will keep playing: ${outcome.reason}. ${tally}`
+        : `🎵 Nothing changed: ${outcome.reason}. ${tally}`;
+    } else {
+      await playback.perform(teamId, channelId, ch, current);
+      if (isSkip) {
+        await store.updateChannel(teamId, channelId, { lastSkipAt: Date.now() });
+        resultMessage = `⏭️ Song skipped: "${current.trackName}" by ${current.artistName}: ${outcome.reason}. ${tally}`;
+      } else {
+        resultMessage = `${action.emoji} Vote passed - ${action.done(current)}: ${outcome.reason}. ${tally}`;
+      }
+    }
+
+    // History and the digest only track skip votes that reached a result
+    if (isSkip && !outcome.cancelled) {
+      await history.recordSkipVote(teamId, channelId, current, outcome);
+    }
+
+    // Show the final result on the vote message itself (with bot token)
+    await slack.updateSkipVoteMessage(ch.slackChannelId, current, botToken, resultMessage);
+
+    // Clean up the stored skip vote
+    await store.deleteSkipVote(teamId, channelId, current.id);
+    return resultMessage;
+  } finally {
+    await store.releaseLock(lockName, owner);
+  }
+}
+
+module.exports = { VOTE_UP, VOTE_DOWN, DJ_SKIP, DJ_KEEP, DJ_CANCEL, startVote, castVote, withdrawVote, refreshTally, decideOutcome, resolveVote };
@@ -0,0 +1,41 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { TEAM_ID, CHANNEL_ID, store, startApp, connectChannel, slashCommand, nextCall } = require('./helpers');
+const slack = require('../src/slack');
+const spotify = require('../src/spotify');
+
+const ALBUM_LINK = 'https://open.spotify.com/album/1DFixLWuPkv3KT3TnV35m3';
+const RESPONSE_URL = 'https://hooks.slack.test/commands/1';
+
+let server;
+before(async () => { server = await startApp(); });
+after(() => server.close());
+beforeEach(() => connectChannel());
+
+const addSong = (text) => slashCommand(server.url, '/add-song', { text, user_name: 'owner', response_url: RESPONSE_URL });
+
+test('album links are acknowledged at once and summarised through response_url', async (t) => {
+  const replied = nextCall(t, slack, 'respond', { ok: true });
+
+  const { status, body } = await addSong(ALBUM_LINK);
+  assert.strictEqual(status, 200);
+  assert.match(body.text, /Adding 3 tracks from the album/);
+
+  const [responseUrl, message] = await replied;
+  assert.strictEqual(responseUrl, RESPONSE_URL);
+  assert.strictEqual(message.response_type, 'ephemeral');
+  assert.match(message.text, /Queued 3 of 3 tracks from the album/);
+});
+
+test('the Spotify queue is fetched once per album, not once per track', async (t) => {
+  await store.updateChannelSettings(TEAM_ID, CHANNEL_ID, 'duplicates', { rejectQueued: true });
+  await store.updateChannelSettings(TEAM_ID, CHANNEL_ID, 'quota', { fairShare: true });
+  const getQueue = t.mock.method(spotify, 'getQueue', async () => []);
+  const replied = nextCall(t, slack, 'respond', { ok: true });
+
+  await addSong('https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M');
+  const [, message] = await replied;
+
+  assert.match(message.text, /Queued 3 of 3 tracks from the playlist/);
+  assert.strictEqual(getQueue.mock.callCount(), 1);
+});
@@ -0,0 +1,89 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { store, startApp, connectChannel } = require('./helpers');
+const slack = require('../src/slack');
+
+const TEAM = 'TADMIN';
+const CHANNEL = 'CADMIN';
+
+let server;
+before(async () => { server = await startApp(); });
+after(() => server.close());
+beforeEach(async () => {
+  await connectChannel(TEAM, CHANNEL, { channelName: 'music' });
+  await store.setSkipVote(TEAM, CHANNEL, '1700000000000', {
+    id: '1700000000000', trackName: 'Song', artistName: 'Artist', messageTs: '1.1', windowSeconds: 60,
+    thumbsUpUsers: new Set(['U1']), thumbsDownUsers: new Set()
+  });
+});
+
+async function adminRequest(path, { method = 'GET', token = 'test-admin-token', body } = {}) {
+  const res = await fetch(`${server.url}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  const text = await res.text();
+  return { status: res.status, text, body: res.headers.get('content-type')?.includes('json') ? JSON.parse(text) : text };
+}
+
+test('admin routes need the admin token', async () => {
+  assert.strictEqual((await adminRequest('/admin/teams', { token: 'wrong' })).status, 401);
+  assert.strictEqual((await fetch(`${server.url}/admin/teams`)).status, 401);
+});
+
+test('the old /_store dump is gone', async () => {
+  assert.strictEqual((await adminRequest(`/_store?team_id=${TEAM}`)).status, 404);
+});
+
+test('teams and channels are listed without tokens', async () => {
+  const teams = await adminRequest('/admin/teams?limit=100');
+  assert.strictEqual(teams.status, 200);
+  assert.ok(teams.body.teams.some(team => team.teamId === TEAM && team.installed && team.channelCount === 1));
+
+  const channels = await adminRequest(`/admin/teams/${TEAM}/channels`);
+  assert.deepStrictEqual(channels.body.channels.map(ch => [ch.channelId, ch.connected]), [[CHANNEL, true]]);
+
+  const detail = await adminRequest(`/admin/teams/${TEAM}/channels/${CHANNEL}`);
+  assert.strictEqual(detail.body.record.spotify.accessToken, '[redacted]');
+  assert.strictEqual(detail.body.record.spotify.refreshToken, '[redacted]');
+  for (const secret of ['mock-bot-token', 'fake-access', 'fake-refresh']) {
+    assert.ok(!teams.text.includes(secret) && !detail.text.includes(secret), secret);
+  }
+});
+
+test('bad pages and unknown channels are rejected', async () => {
+  assert.strictEqual((await adminRequest('/admin/teams?limit=0')).status, 400);
+  assert.strictEqual((await adminRequest(`/admin/teams/${TEAM}/channels/CMISSING`)).status, 404);
+  assert.strictEqual((await adminRequest('/admin/teams/t-lower/channels')).status, 404);
+});
+
+test('stuck votes can be listed and cleared', async (t) => {
+  t.mock.method(slack, 'updateSkipVoteMessage', async () => ({ ok: true }));
+
+  const votes = await adminRequest(`/admin/teams/${TEAM}/channels/${CHANNEL}/votes`);
+  assert.deepStrictEqual(votes.body.votes.map(vote => [vote.id, vote.stuck, vote.keep]), [['1700000000000', true, ['U1']]]);
+
+  assert.strictEqual((await adminRequest(`/admin/teams/${TEAM}/channels/${CHANNEL}/votes/clear`, { method: 'POST', body: { skipId: 'x' } })).status, 400);
+  const cleared = await adminRequest(`/admin/teams/${TEAM}/channels/${CHANNEL}/votes/clear`, { method: 'POST', body: {} });
+  assert.strictEqual(cleared.body.closedVotes, 1);
+  assert.deepStrictEqual(await store.getChannelSkipVoteIds(TEAM, CHANNEL), []);
+});
+
+test('a channel can be disconnected', async (t) => {
+  t.mock.method(slack, 'updateSkipVoteMessage', async () => ({ ok: true }));
+  const announced = t.mock.method(slack, 'postMessage', async () => ({ ok: true }));
+
+  const res = await adminRequest(`/admin/teams/${TEAM}/channels/${CHANNEL}/disconnect`, { method: 'POST' });
+  assert.deepStrictEqual(res.body, { teamId: TEAM, channelId: CHANNEL, wasConnected: true, closedVotes: 1 });
+  assert.strictEqual((await store.getChannel(TEAM, CHANNEL)).spotify, undefined);
+  assert.strictEqual(announced.mock.callCount(), 1);
+});
+
+test('history can be exported as CSV', async () => {
+  await store.appendHistory(TEAM, CHANNEL, { type: 'add', userId: 'U1', trackName: '=1+1', artistName: 'Artist' });
+
+  const res = await adminRequest(`/history/export?team_id=${TEAM}&channel_id=${CHANNEL}&format=csv`);
+  assert.strictEqual(res.status, 200);
+  assert.match(res.text, /,add,U1,.*,'=1\+1,Artist,/);
+});
@@ -0,0 +1,56 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { TEAM_ID, CHANNEL_ID, OWNER_ID, store, startApp, connectChannel, slashCommand } = require('./helpers');
+const slack = require('../src/slack');
+const settings = require('../src/settings');
+
+let server;
+before(async () => { server = await startApp(); });
+after(() => server.close());
+beforeEach(() => connectChannel());
+
+const config = (text, userId = OWNER_ID) => slashCommand(server.url, '/playlift', { text: `config ${text}`, user_id: userId });
+
+async function quota() {
+  return settings.getSection(await store.getChannel(TEAM_ID, CHANNEL_ID), 'quota');
+}
+
+test('members who are not DJs or admins cannot change quota or fair-share', async (t) => {
+  t.mock.method(slack, 'isWorkspaceAdmin', async () => false);
+  const original = await quota();
+
+  for (const text of ['quota 1', 'quota-window 5', 'fair-share on']) {
+    const { body } = await config(text, 'U_MEMBER');
+    assert.match(body.text, /Only DJs and workspace admins/);
+  }
+  assert.deepStrictEqual(await quota(), original);
+});
+
+test('members can still read settings', async (t) => {
+  t.mock.method(slack, 'isWorkspaceAdmin', async () => false);
+  const { body } = await config('quota', 'U_MEMBER');
+  assert.match(body.text, /`quota` is/);
+});
+
+test('DJs can change settings', async (t) => {
+  t.mock.method(slack, 'isWorkspaceAdmin', async () => false);
+  await store.addDj(TEAM_ID, CHANNEL_ID, 'U_DJ');
+
+  const { body } = await config('quota 3', 'U_DJ');
+  assert.match(body.text, /now \*3\*/);
+  assert.strictEqual((await quota()).perUser, 3);
+});
+
+test('workspace admins can change settings', async (t) => {
+  t.mock.method(slack, 'isWorkspaceAdmin', async () => true);
+  const { body } = await config('fair-share on', 'U_ADMIN');
+  assert.match(body.text, /now \*on\*/);
+  assert.strictEqual((await quota()).fairShare, true);
+});
+
+test('a setting without a value shows usage instead of saving 0', async () => {
+  await config('quota 4');
+  const { body } = await config('quota');
+  assert.match(body.text, /\/playlift config quota <value>/);
+  assert.strictEqual((await quota()).perUser, 4);
+});
@@ -0,0 +1,50 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { TEAM_ID, CHANNEL_ID, OWNER_ID, store, startApp, connectChannel, slashCommand } = require('./helpers');
+const slack = require('../src/slack');
+const oauthState = require('../src/state');
+
+let server;
+before(async () => { server = await startApp(); });
+after(() => server.close());
+
+const connect = (userId, channelId = CHANNEL_ID) =>
+  slashCommand(server.url, '/connect', { user_id: userId, channel_id: channelId, channel_name: 'music' });
+
+test('members cannot connect another account to a connected channel', async (t) => {
+  await connectChannel();
+  t.mock.method(slack, 'isWorkspaceAdmin', async () => false);
+
+  const { body } = await connect('U_MEMBER');
+  assert.match(body.text, /already connected to Spotify/);
+  assert.doesNotMatch(body.text, /accounts\.spotify\.com/);
+});
+
+test('the user who connected the channel and workspace admins can reconnect', async (t) => {
+  await connectChannel();
+  const isAdmin = t.mock.method(slack, 'isWorkspaceAdmin', async () => false);
+
+  assert.match((await connect(OWNER_ID)).body.text, /accounts\.spotify\.com/);
+
+  isAdmin.mock.mockImplementation(async () => true);
+  assert.match((await connect('U_ADMIN')).body.text, /accounts\.spotify\.com/);
+});
+
+test('anyone can connect a channel that is not connected', async (t) => {
+  t.mock.method(slack, 'isWorkspaceAdmin', async () => false);
+  await store.storeTeamToken(TEAM_ID, { botToken: 'mock-bot-token' });
+
+  assert.match((await connect('U_MEMBER', 'C_FRESH')).body.text, /accounts\.spotify\.com/);
+});
+
+test('a connect link finished after someone else connected does not take over', async (t) => {
+  await store.storeTeamToken(TEAM_ID, { botToken: 'mock-bot-token' });
+  await store.setChannel(TEAM_ID, 'C_RACE', { slackChannelId: 'C_RACE' });
+  const state = await oauthState.createState({ teamId: TEAM_ID, channelId: 'C_RACE', userId: 'U_MEMBER' });
+  await connectChannel(TEAM_ID, 'C_RACE');
+  t.mock.method(slack, 'isWorkspaceAdmin', async () => false);
+
+  const res = await fetch(`${server.url}/spotify-callback?code=abc&state=${encodeURIComponent(state)}`);
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual((await store.getChannel(TEAM_ID, 'C_RACE')).connectedBy, OWNER_ID);
+});
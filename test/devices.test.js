@@ -0,0 +1,74 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { TEAM_ID, CHANNEL_ID, OWNER_ID, store, startApp, connectChannel, slashCommand } = require('./helpers');
+const slack = require('../src/slack');
+const spotify = require('../src/spotify');
+const blocks = require('../src/blocks');
+
+const DEVICE = { id: 'device-kitchen', name: 'Kitchen speaker' };
+
+let server;
+before(async () => { server = await startApp(); });
+after(() => server.close());
+beforeEach(() => connectChannel(TEAM_ID, CHANNEL_ID, { preferredDevice: { id: 'device-office', name: 'Office' } }));
+
+// Click "Play here" on a /devices list
+async function useDevice(userId) {
+  const payload = {
+    type: 'block_actions',
+    team: { id: TEAM_ID },
+    channel: { id: CHANNEL_ID },
+    user: { id: userId },
+    response_url: 'https://hooks.slack.test/actions/1',
+    actions: [{ action_id: blocks.ACTIONS.USE_DEVICE, value: JSON.stringify(DEVICE) }]
+  };
+  const res = await fetch(`${server.url}/slack/interactions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ payload: JSON.stringify(payload) })
+  });
+  return res.status;
+}
+
+const preferredDevice = async () => (await store.getChannel(TEAM_ID, CHANNEL_ID)).preferredDevice;
+
+test('members cannot move playback by default', async (t) => {
+  const respond = t.mock.method(slack, 'respond', async () => ({ ok: true }));
+  const transferPlayback = t.mock.method(spotify, 'transferPlayback');
+
+  assert.strictEqual(await useDevice('U_MEMBER'), 200);
+  assert.strictEqual(transferPlayback.mock.callCount(), 0);
+  assert.strictEqual((await preferredDevice()).id, 'device-office');
+
+  const [, message] = respond.mock.calls[0].arguments;
+  assert.strictEqual(message.response_type, 'ephemeral');
+  assert.match(message.text, /Only DJs can change the playback device/);
+});
+
+test('DJs can move playback', async (t) => {
+  t.mock.method(slack, 'respond', async () => ({ ok: true }));
+  const transferPlayback = t.mock.method(spotify, 'transferPlayback', async () => ({ success: true }));
+
+  assert.strictEqual(await useDevice(OWNER_ID), 200);
+  assert.strictEqual(transferPlayback.mock.calls[0].arguments[0], DEVICE.id);
+  assert.deepStrictEqual(await preferredDevice(), DEVICE);
+});
+
+test('anyone can move playback when the devices control allows it', async (t) => {
+  await store.updateChannelSettings(TEAM_ID, CHANNEL_ID, 'controls', { devices: 'anyone' });
+  t.mock.method(slack, 'respond', async () => ({ ok: true }));
+  t.mock.method(spotify, 'transferPlayback', async () => ({ success: true }));
+
+  assert.strictEqual(await useDevice('U_MEMBER'), 200);
+  assert.deepStrictEqual(await preferredDevice(), DEVICE);
+});
+
+test('/devices forget is limited the same way', async () => {
+  const { body } = await slashCommand(server.url, '/devices', { text: 'forget', user_id: 'U_MEMBER' });
+  assert.match(body.text, /Only DJs/);
+  assert.strictEqual((await preferredDevice()).id, 'device-office');
+
+  const { body: djReply } = await slashCommand(server.url, '/devices', { text: 'forget' });
+  assert.match(djReply.text, /no longer this channel's preferred device/);
+  assert.strictEqual(await preferredDevice(), null);
+});
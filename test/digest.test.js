@@ -0,0 +1,55 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { TEAM_ID, CHANNEL_ID, OWNER_ID, store, startApp, connectChannel, slashCommand } = require('./helpers');
+const slack = require('../src/slack');
+const digest = require('../src/digest');
+
+let server;
+before(async () => { server = await startApp(); });
+after(() => server.close());
+beforeEach(() => connectChannel());
+
+const digestCommand = (text, userId = OWNER_ID) => slashCommand(server.url, '/playlift', { text: `digest ${text}`.trim(), user_id: userId });
+
+async function currentDigest() {
+  return digest.getDigest(await store.getChannel(TEAM_ID, CHANNEL_ID));
+}
+
+test('members who are not DJs or admins cannot change the digest', async (t) => {
+  t.mock.method(slack, 'isWorkspaceAdmin', async () => false);
+  const original = await currentDigest();
+
+  for (const text of ['off', 'on', 'monday 09:00 Europe/London']) {
+    const { body } = await digestCommand(text, 'U_MEMBER');
+    assert.match(body.text, /Only DJs and workspace admins/, text);
+  }
+  assert.deepStrictEqual(await currentDigest(), original);
+});
+
+test('members can still see the schedule and preview the digest', async (t) => {
+  t.mock.method(slack, 'isWorkspaceAdmin', async () => false);
+
+  assert.doesNotMatch((await digestCommand('', 'U_MEMBER')).body.text, /Only DJs/);
+  const preview = await digestCommand('preview', 'U_MEMBER');
+  assert.doesNotMatch(JSON.stringify(preview.body), /Only DJs/);
+});
+
+test('DJs can change the digest', async (t) => {
+  t.mock.method(slack, 'isWorkspaceAdmin', async () => false);
+  await store.addDj(TEAM_ID, CHANNEL_ID, 'U_DJ');
+
+  const { body } = await digestCommand('off', 'U_DJ');
+  assert.match(body.text, /^✅/);
+  assert.strictEqual((await currentDigest()).enabled, false);
+});
+
+test('workspace admins can reschedule the digest', async (t) => {
+  t.mock.method(slack, 'isWorkspaceAdmin', async () => true);
+
+  const { body } = await digestCommand('monday 09:00 Europe/London', 'U_ADMIN');
+  assert.match(body.text, /^✅/);
+  assert.deepStrictEqual(
+    (({ enabled, time, timezone }) => ({ enabled, time, timezone }))(await currentDigest()),
+    { enabled: true, time: '09:00', timezone: 'Europe/London' }
+  );
+});
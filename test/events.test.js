@@ -0,0 +1,79 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { TEAM_ID, CHANNEL_ID, store, startApp, connectChannel, nextCall } = require('./helpers');
+const slack = require('../src/slack');
+const scheduler = require('../src/scheduler');
+
+const TRACK_LINK = 'https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC';
+
+let server;
+before(async () => { server = await startApp(); });
+after(() => server.close());
+beforeEach(() => connectChannel());
+
+let eventCount = 0;
+async function postMessageEvent(text, eventId = `Ev${++eventCount}`) {
+  const res = await fetch(`${server.url}/emoji-callback`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      type: 'event_callback',
+      team_id: TEAM_ID,
+      event_id: eventId,
+      event: { type: 'message', channel: CHANNEL_ID, user: 'U_POSTER', ts: `${Date.now()}.000100`, text }
+    })
+  });
+  return res.status;
+}
+
+const enableAutoQueue = () => store.updateChannelSettings(TEAM_ID, CHANNEL_ID, 'addSong', { autoQueueLinks: true });
+
+test('messages without track links are not recorded', async (t) => {
+  await enableAutoQueue();
+  const markRequestSeen = t.mock.method(store, 'markRequestSeen');
+
+  assert.strictEqual(await postMessageEvent('lunch anyone?'), 200);
+  assert.strictEqual(markRequestSeen.mock.callCount(), 0);
+});
+
+test('track links are ignored while auto-queue is off', async (t) => {
+  const markRequestSeen = t.mock.method(store, 'markRequestSeen');
+  const publish = t.mock.method(scheduler, 'publish');
+
+  assert.strictEqual(await postMessageEvent(`listen to this ${TRACK_LINK}`), 200);
+  assert.strictEqual(markRequestSeen.mock.callCount(), 0);
+  assert.strictEqual(publish.mock.callCount(), 0);
+});
+
+test('track links are queued after the event is acknowledged', async (t) => {
+  await enableAutoQueue();
+  const reacted = nextCall(t, slack, 'addReaction', { ok: true });
+
+  assert.strictEqual(await postMessageEvent(`listen to this ${TRACK_LINK}`), 200);
+
+  const [channel, , emoji] = await reacted;
+  assert.strictEqual(channel, CHANNEL_ID);
+  assert.strictEqual(emoji, 'white_check_mark');
+});
+
+test('a retried event is queued once', async (t) => {
+  await enableAutoQueue();
+  const publish = t.mock.method(scheduler, 'publish', async () => {});
+
+  assert.strictEqual(await postMessageEvent(TRACK_LINK, 'EvRetried'), 200);
+  assert.strictEqual(await postMessageEvent(TRACK_LINK, 'EvRetried'), 200);
+  assert.strictEqual(publish.mock.callCount(), 1);
+  assert.strictEqual(publish.mock.calls[0].arguments[0], '/process-auto-queue');
+});
+
+test('an event whose job could not be scheduled is queued on retry', async (t) => {
+  await enableAutoQueue();
+  const publish = t.mock.method(scheduler, 'publish', async () => {
+    if (publish.mock.callCount() === 0) throw new Error('scheduler down');
+  });
+
+  assert.strictEqual(await postMessageEvent(TRACK_LINK, 'EvFailedOnce'), 500);
+  assert.strictEqual(await postMessageEvent(TRACK_LINK, 'EvFailedOnce'), 200);
+  assert.strictEqual(await postMessageEvent(TRACK_LINK, 'EvFailedOnce'), 200);
+  assert.strictEqual(publish.mock.callCount(), 2);
+});
@@ -0,0 +1,66 @@
+/**
+ * Shared setup for the route tests: the app runs on an ephemeral port with the memory
+ * store, the local scheduler, unsigned Slack requests and mock Slack and Spotify tokens
+ *
+ * Require this before anything from src/ - the environment is read when modules load.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.STORE_BACKEND = 'memory';
+process.env.SCHEDULER_BACKEND = 'local';
+process.env.ADMIN_API_TOKEN = 'test-admin-token';
+delete process.env.REDIS_URL;
+delete process.env.SLACK_SIGNING_SECRET;
+delete process.env.VERCEL;
+
+const app = require('../src/app');
+const store = require('../src/store');
+
+const TEAM_ID = 'T_TEST';
+const CHANNEL_ID = 'C_TEST';
+const OWNER_ID = 'U_OWNER';
+
+// Start the app on a free port - `close` stops it again
+async function startApp() {
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  // Local scheduler jobs are delivered to BASE_URL
+  process.env.BASE_URL = url;
+  return { url, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// Install the app in a workspace and connect a channel to (mock) Spotify
+async function connectChannel(teamId = TEAM_ID, channelId = CHANNEL_ID, extra = {}) {
+  await store.storeTeamToken(teamId, { botToken: 'mock-bot-token', teamName: `Team ${teamId}` });
+  await store.setChannelTeam(channelId, teamId);
+  await store.setChannel(teamId, channelId, {
+    slackChannelId: channelId,
+    spotify: { accessToken: 'fake-access', refreshToken: 'fake-refresh', expiresAt: Date.now() + 3600 * 1000 },
+    connectedBy: OWNER_ID,
+    ...extra
+  });
+}
+
+// POST a slash command the way Slack does (form encoded) - resolves to the JSON reply
+async function slashCommand(url, command, fields) {
+  const res = await fetch(`${url}${command}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ team_id: TEAM_ID, channel_id: CHANNEL_ID, user_id: OWNER_ID, ...fields })
+  });
+  return { status: res.status, body: res.headers.get('content-type')?.includes('json') ? await res.json() : await res.text() };
+}
+
+// Mock `object[method]` for the test - resolves with the arguments of its first call
+function nextCall(t, object, method, result) {
+  return new Promise((resolve) => {
+    t.mock.method(object, method, async (...args) => {
+      resolve(args);
+      return result;
+    });
+  });
+}
+
+module.exports = { TEAM_ID, CHANNEL_ID, OWNER_ID, app, store, startApp, connectChannel, slashCommand, nextCall };
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const history = require('../src/history');
+
+const rows = (csv) => csv.trim().split('\n').slice(1);
+
+test('toCsv writes a header and one row per entry', () => {
+  const csv = history.toCsv([
+    { at: '2026-01-01T00:00:00.000Z', type: 'add', userId: 'U1', trackName: 'Song, Part 2', artistName: 'Say "Hi"' },
+    { at: '2026-01-01T00:01:00.000Z', type: 'skip_vote', trackName: 'Other', keepVotes: 1, skipVotes: 3, skipped: true }
+  ]);
+
+  assert.strictEqual(csv.split('\n')[0], 'at,type,userId,userName,trackId,trackUri,trackName,artistName,keepVotes,skipVotes,skipped,reason');
+  assert.deepStrictEqual(rows(csv), [
+    '2026-01-01T00:00:00.000Z,add,U1,,,,"Song, Part 2","Say ""Hi""",,,,',
+    '2026-01-01T00:01:00.000Z,skip_vote,,,,,Other,,1,3,true,'
+  ]);
+});
+
+test('toCsv neutralises cells a spreadsheet would run as formulas', () => {
+  const csv = history.toCsv([
+    { userName: '@admin', trackName: '=HYPERLINK("http://evil.test")', artistName: '+1', reason: '-2+3' },
+    { trackName: '\tTabbed', artistName: '\rReturn' }
+  ]);
+
+  assert.deepStrictEqual(rows(csv), [
+    `,,,'@admin,,,"'=HYPERLINK(""http://evil.test"")",'+1,,,,'-2+3`,
+    `,,,,,,'\tTabbed,"'\rReturn",,,,`
+  ]);
+});
+
+test('toCsv leaves numbers and ordinary text alone', () => {
+  const [row] = rows(history.toCsv([{ trackName: 'Re-Wired', artistName: 'Kasabian', keepVotes: 0, skipVotes: 2 }]));
+  assert.strictEqual(row, ',,,,,,Re-Wired,Kasabian,0,2,,');
+});
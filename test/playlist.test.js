@@ -0,0 +1,60 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { TEAM_ID, CHANNEL_ID, store, startApp, connectChannel, slashCommand, nextCall } = require('./helpers');
+const spotify = require('../src/spotify');
+const scheduler = require('../src/scheduler');
+
+// Each test adds its own track - a repeat would be turned away by the replay window
+const trackIds = ['4uLU6hMCjMI75M1A2tKUQC', '7ouMYWpwJ422jRcDASZB7P', '3n3Ppam7vgaVa1iaRUc9Lp'];
+
+let server;
+before(async () => { server = await startApp(); });
+after(() => server.close());
+beforeEach(async () => {
+  await connectChannel(TEAM_ID, CHANNEL_ID, { channelName: 'secret-project' });
+  await store.updateChannelSettings(TEAM_ID, CHANNEL_ID, 'playlist', { mirror: true });
+});
+
+const addSong = (trackId) => slashCommand(server.url, '/add-song', { text: `https://open.spotify.com/track/${trackId}` });
+
+test('adding a song replies before the playlist is created', async (t) => {
+  const getCurrentUserId = t.mock.method(spotify, 'getCurrentUserId');
+  const publish = t.mock.method(scheduler, 'publish', async () => {});
+
+  const { body } = await addSong(trackIds[0]);
+  assert.match(body.text, /Song added/);
+  assert.strictEqual(getCurrentUserId.mock.callCount(), 0);
+
+  const [path, job] = publish.mock.calls.find(call => call.arguments[0] === '/process-mirror').arguments;
+  assert.strictEqual(path, '/process-mirror');
+  assert.deepStrictEqual({ teamId: job.teamId, channelId: job.channelId }, { teamId: TEAM_ID, channelId: CHANNEL_ID });
+});
+
+test('the scheduled job creates the playlist and adds the track', async (t) => {
+  const added = nextCall(t, spotify, 'addTracksToPlaylist', { ok: true });
+
+  const { body } = await addSong(trackIds[1]);
+  assert.match(body.text, /Song added/);
+  const [playlistId, uris] = await added;
+
+  assert.strictEqual(playlistId, 'mockplaylist');
+  assert.deepStrictEqual(uris, [`spotify:track:${trackIds[1]}`]);
+  assert.strictEqual((await store.getChannel(TEAM_ID, CHANNEL_ID)).playlist.id, 'mockplaylist');
+});
+
+test('nothing is scheduled while mirroring is off', async (t) => {
+  await store.updateChannelSettings(TEAM_ID, CHANNEL_ID, 'playlist', { mirror: false });
+  const publish = t.mock.method(scheduler, 'publish', async () => {});
+
+  const { body } = await addSong(trackIds[2]);
+  assert.match(body.text, /Song added/);
+  assert.ok(!publish.mock.calls.some(call => call.arguments[0] === '/process-mirror'));
+});
+
+test('channel playlists are created private', async (t) => {
+  const post = t.mock.method(axios, 'post', async () => ({ data: { id: 'p1', uri: 'spotify:playlist:p1', name: 'Playlift', external_urls: {} } }));
+
+  await spotify.createPlaylist('spotify-user', 'Playlift - #secret-project', 'Songs requested in Slack', 'real-access-token');
+  assert.strictEqual(post.mock.calls[0].arguments[1].public, false);
+});
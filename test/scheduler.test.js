@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+
+// scheduler.js picks its backend when it loads, so each case gets a fresh process.
+// The script runs an unsigned job callback through verifyJob and prints the outcome.
+const VERIFY_UNSIGNED_JOB = `
+  const scheduler = require('./src/scheduler');
+  const req = { headers: {}, body: { teamId: 'T1' }, rawBody: '{"teamId":"T1"}' };
+  const res = { status(code) { console.log('status=' + code); return { send() {} }; } };
+  scheduler.verifyJob(req, res, () => console.log('accepted'));
+`;
+
+function runScheduler(env, script = "console.log('backend=' + require('./src/scheduler').backendName)") {
+  const base = { ...process.env };
+  for (const name of ['SCHEDULER_BACKEND', 'QSTASH_TOKEN', 'QSTASH_CURRENT_SIGNING_KEY', 'QSTASH_NEXT_SIGNING_KEY', 'VERCEL', 'NODE_ENV']) {
+    delete base[name];
+  }
+  return spawnSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...base, ...env },
+    encoding: 'utf8',
+    timeout: 10000
+  });
+}
+
+test('the local scheduler is the default without QSTASH_TOKEN', () => {
+  const result = runScheduler({});
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.match(result.stdout, /backend=local/);
+});
+
+test('the local scheduler refuses to run on Vercel', () => {
+  for (const env of [{ VERCEL: '1' }, { VERCEL: '1', SCHEDULER_BACKEND: 'local' }]) {
+    const result = runScheduler(env);
+    assert.notStrictEqual(result.status, 0);
+    assert.match(result.stderr, /local scheduler does not work on Vercel/);
+  }
+});
+
+test('QStash jobs without signing keys are rejected in production', () => {
+  const result = runScheduler({ QSTASH_TOKEN: 'token', NODE_ENV: 'production' }, VERIFY_UNSIGNED_JOB);
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.match(result.stdout, /status=401/);
+  assert.doesNotMatch(result.stdout, /accepted/);
+});
+
+test('QStash jobs without signing keys are accepted outside production', () => {
+  const result = runScheduler({ QSTASH_TOKEN: 'token' }, VERIFY_UNSIGNED_JOB);
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.match(result.stdout, /accepted/);
+});
+
+test('local jobs need the per-process signature', () => {
+  const result = runScheduler({}, VERIFY_UNSIGNED_JOB);
+  assert.match(result.stdout, /status=401/);
+});
@@ -0,0 +1,177 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+
+const OLD_KEY = Buffer.alloc(32, 1).toString('base64');
+const NEW_KEY = Buffer.alloc(32, 2).toString('base64');
+
+// secrets.js and store.js read TOKEN_ENCRYPTION_KEYS when they load, so each case runs in a
+// fresh process. The script reports back by calling `report(value)`.
+function run(keys, script) {
+  const base = { ...process.env };
+  for (const name of ['STORE_BACKEND', 'REDIS_URL', 'VERCEL', 'TOKEN_ENCRYPTION_KEYS']) delete base[name];
+  const result = spawnSync(process.execPath, ['-e', `
+    const report = (value) => console.log('RESULT:' + JSON.stringify(value));
+    (async () => { ${script} })().catch(err => { console.error(err); process.exit(1); });
+  `], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...base, ...(keys && { TOKEN_ENCRYPTION_KEYS: keys }) },
+    encoding: 'utf8',
+    timeout: 10000
+  });
+  assert.strictEqual(result.status, 0, result.stderr);
+  const line = result.stdout.split('\n').find(output => output.startsWith('RESULT:'));
+  return JSON.parse(line.slice('RESULT:'.length));
+}
+
+test('seal then open gives back the same record', () => {
+  const result = run(`1:${OLD_KEY}`, `
+    const secrets = require('./src/secrets');
+    const record = { botToken: 'xoxb-secret', teamName: 'Team' };
+    const sealed = secrets.seal(record, ['botToken'], 'team:T1');
+    report({ sealed, opened: secrets.open(sealed, ['botToken'], 'team:T1') });
+  `);
+
+  assert.strictEqual(result.sealed.keyVersion, 1);
+  assert.strictEqual(result.sealed.teamName, 'Team');
+  assert.notStrictEqual(result.sealed.botToken, 'xoxb-secret');
+  assert.match(result.sealed.botToken, /^[^.]+\.[^.]+\.[^.]+$/);
+  assert.deepStrictEqual(result.opened, { botToken: 'xoxb-secret', teamName: 'Team' });
+});
+
+test('ciphertext moved to another record or field does not decrypt', () => {
+  const result = run(`1:${OLD_KEY}`, `
+    const secrets = require('./src/secrets');
+    const sealed = secrets.seal({ accessToken: 'access', refreshToken: 'refresh' }, ['accessToken', 'refreshToken'], 'channel:T1:C1');
+    const attempt = (fn) => { try { fn(); return 'opened'; } catch (err) { return 'failed'; } };
+    report({
+      otherRecord: attempt(() => secrets.open(sealed, ['accessToken', 'refreshToken'], 'channel:T1:C2')),
+      otherField: attempt(() => secrets.open({ ...sealed, accessToken: sealed.refreshToken }, ['accessToken'], 'channel:T1:C1')),
+      tampered: attempt(() => secrets.open({ ...sealed, accessToken: sealed.accessToken.slice(0, -2) + 'AA' }, ['accessToken'], 'channel:T1:C1'))
+    });
+  `);
+
+  assert.deepStrictEqual(result, { otherRecord: 'failed', otherField: 'failed', tampered: 'failed' });
+});
+
+test('a record sealed with a key that is no longer configured throws', () => {
+  const sealed = run(`1:${OLD_KEY}`, `
+    report(require('./src/secrets').seal({ botToken: 'xoxb-secret' }, ['botToken'], 'team:T1'));
+  `);
+  const result = run(`2:${NEW_KEY}`, `
+    try {
+      require('./src/secrets').open(${JSON.stringify(sealed)}, ['botToken'], 'team:T1');
+      report('opened');
+    } catch (err) {
+      report(err.message);
+    }
+  `);
+
+  assert.match(result, /key version 1 is not in TOKEN_ENCRYPTION_KEYS/);
+});
+
+test('without keys records stay in plaintext', () => {
+  const result = run(null, `
+    const secrets = require('./src/secrets');
+    report({ version: secrets.currentVersion ?? null, sealed: secrets.seal({ botToken: 'xoxb-secret' }, ['botToken'], 'team:T1') });
+  `);
+
+  assert.deepStrictEqual(result, { version: null, sealed: { botToken: 'xoxb-secret' } });
+});
+
+test('parseKeys takes the first key as current and rejects bad entries', () => {
+  const result = run(null, `
+    const { parseKeys } = require('./src/secrets');
+    const attempt = (value) => { try { parseKeys(value); return 'ok'; } catch (err) { return err.message; } };
+    const parsed = parseKeys(' 2:${NEW_KEY} , 1:${OLD_KEY} ');
+    report({
+      currentVersion: parsed.currentVersion,
+      versions: Array.from(parsed.keys.keys()),
+      empty: parseKeys('').currentVersion,
+      noVersion: attempt('${NEW_KEY}'),
+      badVersion: attempt('v2:${NEW_KEY}'),
+      shortKey: attempt('1:' + Buffer.alloc(16).toString('base64'))
+    });
+  `);
+
+  assert.strictEqual(result.currentVersion, 2);
+  assert.deepStrictEqual(result.versions, [2, 1]);
+  assert.strictEqual(result.empty, null);
+  assert.match(result.noVersion, /must look like <version>:<base64 key>/);
+  assert.match(result.badVersion, /must look like <version>:<base64 key>/);
+  assert.match(result.shortKey, /key version 1 must be 32 bytes/);
+});
+
+test('reencryptTokens upgrades plaintext records and records sealed with an older key', () => {
+  // Records as a deployment using only the old key stored them
+  const oldRecords = run(`1:${OLD_KEY}`, `
+    const secrets = require('./src/secrets');
+    report({
+      team: secrets.seal({ botToken: 'xoxb-old' }, ['botToken'], 'team:T1'),
+      spotify: secrets.seal({ accessToken: 'access-old', refreshToken: 'refresh-old' }, ['accessToken', 'refreshToken'], 'channel:T1:C1')
+    });
+  `);
+
+  const result = run(`2:${NEW_KEY},1:${OLD_KEY}`, `
+    // Keep hold of the memory backend store.js creates, to write and read raw records
+    const memoryStore = require('./src/memoryStore');
+    const createMemoryStore = memoryStore.createMemoryStore;
+    let backend;
+    memoryStore.createMemoryStore = () => (backend = createMemoryStore());
+    const store = require('./src/store');
+
+    const old = ${JSON.stringify(oldRecords)};
+    await backend.storeTeamToken('T1', old.team);
+    await backend.setChannel('T1', 'C1', { slackChannelId: 'C1', spotify: old.spotify });
+    await backend.storeTeamToken('T2', { botToken: 'xoxb-plain' });
+    await backend.setChannel('T2', 'C2', { slackChannelId: 'C2', spotify: { accessToken: 'access-plain', refreshToken: 'refresh-plain' } });
+    await backend.setChannel('T2', 'C3', { slackChannelId: 'C3' });
+
+    const counts = await store.reencryptTokens();
+    report({
+      counts,
+      again: await store.reencryptTokens(),
+      raw: {
+        teams: [await backend.getTeamToken('T1'), await backend.getTeamToken('T2')],
+        channels: [await backend.getChannel('T1', 'C1'), await backend.getChannel('T2', 'C2'), await backend.getChannel('T2', 'C3')]
+      },
+      opened: {
+        teams: [await store.getTeamToken('T1'), await store.getTeamToken('T2')],
+        channels: [await store.getChannel('T1', 'C1'), await store.getChannel('T2', 'C2')]
+      }
+    });
+  `);
+
+  assert.deepStrictEqual(result.counts, { teams: 2, channels: 2 });
+  assert.deepStrictEqual(result.again, { teams: 0, channels: 0 });
+
+  for (const team of result.raw.teams) {
+    assert.strictEqual(team.keyVersion, 2);
+    assert.doesNotMatch(team.botToken, /^xoxb-/);
+  }
+  for (const ch of result.raw.channels.slice(0, 2)) {
+    assert.strictEqual(ch.spotify.keyVersion, 2);
+    assert.doesNotMatch(ch.spotify.accessToken, /^access-/);
+  }
+  assert.deepStrictEqual(result.raw.channels[2], { slackChannelId: 'C3' });
+
+  assert.deepStrictEqual(result.opened.teams.map(team => team.botToken), ['xoxb-old', 'xoxb-plain']);
+  assert.deepStrictEqual(result.opened.channels.map(ch => ch.spotify), [
+    { accessToken: 'access-old', refreshToken: 'refresh-old' },
+    { accessToken: 'access-plain', refreshToken: 'refresh-plain' }
+  ]);
+});
+
+test('reencryptTokens needs a key', () => {
+  const result = run(null, `
+    try {
+      await require('./src/store').reencryptTokens();
+      report('ran');
+    } catch (err) {
+      report(err.message);
+    }
+  `);
+
+  assert.match(result, /TOKEN_ENCRYPTION_KEYS is not configured/);
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseSongInput, findTrackIds, describeSearch } = require('../src/songInput');
+
+const TRACK_ID = '4uLU6hMCjMI75M1A2tKUQC';
+const ALBUM_ID = '1DFixLWuPkv3KT3TnV35m3';
+const PLAYLIST_ID = '37i9dQZF1DXcBWIGoYBM5M';
+
+test('track links and URIs', () => {
+  for (const input of [
+    `https://open.spotify.com/track/${TRACK_ID}`,
+    `https://open.spotify.com/track/${TRACK_ID}?si=abc123`,
+    `https://open.spotify.com/intl-de/track/${TRACK_ID}`,
+    `<https://open.spotify.com/track/${TRACK_ID}>`,
+    `<https://open.spotify.com/track/${TRACK_ID}|open.spotify.com>`,
+    `spotify:track:${TRACK_ID}`,
+    `  spotify:track:${TRACK_ID}  `
+  ]) {
+    assert.deepStrictEqual(parseSongInput(input), { type: 'track', id: TRACK_ID }, input);
+  }
+});
+
+test('album and playlist links and URIs', () => {
+  assert.deepStrictEqual(parseSongInput(`https://open.spotify.com/album/${ALBUM_ID}`), { type: 'album', id: ALBUM_ID });
+  assert.deepStrictEqual(parseSongInput(`spotify:album:${ALBUM_ID}`), { type: 'album', id: ALBUM_ID });
+  assert.deepStrictEqual(parseSongInput(`https://open.spotify.com/playlist/${PLAYLIST_ID}?si=x`), { type: 'playlist', id: PLAYLIST_ID });
+  assert.deepStrictEqual(parseSongInput(`spotify:playlist:${PLAYLIST_ID}`), { type: 'playlist', id: PLAYLIST_ID });
+});
+
+test('unsupported or broken Spotify references', () => {
+  assert.match(parseSongInput(`https://open.spotify.com/artist/${TRACK_ID}`).error, /artist links aren't supported/);
+  assert.match(parseSongInput(`spotify:show:${TRACK_ID}`).error, /show URIs aren't supported/);
+  assert.match(parseSongInput('https://open.spotify.com/track/4uLU6h').error, /looks incomplete/);
+  assert.match(parseSongInput('spotify:track:4uLU6h').error, /looks incomplete/);
+  assert.match(parseSongInput('spotify:track').error, /URI is not valid/);
+  assert.match(parseSongInput('https://spotify.link/abc').error, /Only open\.spotify\.com links/);
+  assert.match(parseSongInput('https://youtube.com/watch?v=x').error, /Only Spotify links/);
+});
+
+test('"Song - Artist" splits on the last spaced dash', () => {
+  assert.deepStrictEqual(parseSongInput('Bohemian Rhapsody - Queen'), { type: 'search', title: 'Bohemian Rhapsody', artist: 'Queen' });
+  assert.deepStrictEqual(parseSongInput('Re-Wired - Kasabian'), { type: 'search', title: 'Re-Wired', artist: 'Kasabian' });
+  assert.deepStrictEqual(parseSongInput('Song 2 – Blur'), { type: 'search', title: 'Song 2', artist: 'Blur' });
+  assert.deepStrictEqual(parseSongInput('"Karma Police" — "Radiohead"'), { type: 'search', title: 'Karma Police', artist: 'Radiohead' });
+  assert.deepStrictEqual(parseSongInput('Live - Remastered - Queen'), { type: 'search', title: 'Live - Remastered', artist: 'Queen' });
+});
+
+test('free text becomes a search query', () => {
+  assert.deepStrictEqual(parseSongInput('bohemian rhapsody'), { type: 'search', query: 'bohemian rhapsody' });
+  assert.deepStrictEqual(parseSongInput('Re-Wired'), { type: 'search', query: 'Re-Wired' });
+});
+
+test('a dangling dash is dropped from the query', () => {
+  assert.deepStrictEqual(parseSongInput('Song - '), { type: 'search', query: 'Song' });
+  assert.deepStrictEqual(parseSongInput('Song -'), { type: 'search', query: 'Song' });
+  assert.deepStrictEqual(parseSongInput(' - Queen'), { type: 'search', query: 'Queen' });
+});
+
+test('junk input is rejected', () => {
+  for (const input of ['', '   ', undefined, null, '-', ' - ', '"""', '!!!']) {
+    assert.match(parseSongInput(input).error, /Tell me what to add/, String(input));
+  }
+  assert.match(parseSongInput('a'.repeat(201)).error, /too long/);
+});
+
+test('findTrackIds finds each linked track once, in order', () => {
+  const other = '7ouMYWpwJ422jRcDASZB7P';
+  const text = `try <https://open.spotify.com/track/${TRACK_ID}?si=1> and spotify:track:${other} or again https://open.spotify.com/track/${TRACK_ID}`;
+  assert.deepStrictEqual(findTrackIds(text), [TRACK_ID, other]);
+  assert.deepStrictEqual(findTrackIds(`https://open.spotify.com/album/${ALBUM_ID}`), []);
+  assert.deepStrictEqual(findTrackIds(undefined), []);
+});
+
+test('describeSearch', () => {
+  assert.strictEqual(describeSearch({ type: 'search', query: 'song 2' }), 'song 2');
+  assert.strictEqual(describeSearch({ type: 'search', title: 'Song 2', artist: 'Blur' }), 'Song 2 - Blur');
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+
+// store.js picks its backend when it loads, so each case gets a fresh process
+function loadStore(env) {
+  const base = { ...process.env };
+  for (const name of ['STORE_BACKEND', 'REDIS_URL', 'VERCEL', 'TOKEN_ENCRYPTION_KEYS']) delete base[name];
+  return spawnSync(process.execPath, ['-e', "console.log('backend=' + require('./src/store').name)"], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...base, ...env },
+    encoding: 'utf8',
+    timeout: 10000
+  });
+}
+
+test('the memory store is the default without REDIS_URL', () => {
+  const result = loadStore({});
+  assert.strictEqual(result.status, 0, result.stderr);
+  assert.match(result.stdout, /backend=memory/);
+});
+
+test('the memory store refuses to run on Vercel', () => {
+  for (const env of [{ VERCEL: '1' }, { VERCEL: '1', STORE_BACKEND: 'memory' }]) {
+    const result = loadStore(env);
+    assert.notStrictEqual(result.status, 0);
+    assert.match(result.stderr, /memory store does not work on Vercel/);
+  }
+});
+
+test('unknown backends are rejected', () => {
+  const result = loadStore({ STORE_BACKEND: 'sqlite' });
+  assert.notStrictEqual(result.status, 0);
+  assert.match(result.stderr, /Unknown STORE_BACKEND: sqlite/);
+});
@@ -0,0 +1,170 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const RedisMock = require('ioredis-mock');
+const { createMemoryStore } = require('../src/memoryStore');
+
+// redis.js reuses a client it finds on `global.__redisClient` - hand it an in-memory mock
+global.__redisClient = new RedisMock({ lazyConnect: true });
+const redisStore = require('../src/redis');
+
+// Both backends must clean up the same way, so every test runs against each of them
+const backends = [
+  { name: 'memory', create: async () => createMemoryStore() },
+  {
+    name: 'redis',
+    create: async () => {
+      await global.__redisClient.flushall();
+      return redisStore;
+    }
+  }
+];
+
+const TRACK = { id: 'track1', uri: 'spotify:track:track1', name: 'Song' };
+
+// Skip vote IDs are start times, so they differ between channels
+const skipIds = (channelId) => [`1${channelId.slice(1)}`, `2${channelId.slice(1)}`];
+
+// A connected channel with everything the app stores for it
+async function seedChannel(store, teamId, channelId) {
+  const [firstVote, secondVote] = skipIds(channelId);
+  await store.storeTeamToken(teamId, { botToken: `xoxb-${teamId}` });
+  await store.setChannel(teamId, channelId, {
+    slackChannelId: channelId,
+    spotify: { accessToken: `access-${channelId}`, refreshToken: `refresh-${channelId}` },
+    connectedBy: 'U1',
+    connectedAt: '2026-01-01T00:00:00.000Z',
+    playlist: { id: 'playlist1' },
+    preferredDevice: { id: 'device1' },
+    queueLock: { lockedBy: 'U1' },
+    digestScheduledFor: 1,
+    settings: { quota: { perUser: 3 } }
+  });
+  await store.setSkipVote(teamId, channelId, firstVote, {
+    id: firstVote, trackName: 'Song', messageTs: '1.1', windowSeconds: 60,
+    thumbsUpUsers: new Set(['U2']), thumbsDownUsers: new Set(['U3'])
+  });
+  await store.setSkipVote(teamId, channelId, secondVote, {
+    id: secondVote, trackName: 'Other', messageTs: '2.2', windowSeconds: 60,
+    thumbsUpUsers: new Set(), thumbsDownUsers: new Set()
+  });
+  await store.addThumbsUp(teamId, secondVote, 'U4');
+  await store.setTrackRequester(teamId, channelId, TRACK.uri, { userId: 'U1' });
+  await store.appendHistory(teamId, channelId, { type: 'add', trackName: 'Song' });
+  await store.recordUserRequest(teamId, channelId, 'U1', 3600);
+  await store.pushHeldRequest(teamId, channelId, { id: 'held1', track: TRACK, userId: 'U1' });
+  await store.setRecentTrack(teamId, channelId, TRACK.id, { userId: 'U1', queuedAt: new Date().toISOString() });
+  await store.addDj(teamId, channelId, 'U5');
+}
+
+async function channelData(store, teamId, channelId) {
+  return {
+    channel: await store.getChannel(teamId, channelId),
+    channelTeam: await store.getChannelTeam(channelId),
+    voteIds: (await store.getChannelSkipVoteIds(teamId, channelId)).sort(),
+    vote: await store.getSkipVote(teamId, channelId, skipIds(channelId)[0]),
+    voteByMessage: await store.findSkipVoteByMessageTs(teamId, channelId, '2.2'),
+    requester: await store.getTrackRequester(teamId, channelId, TRACK.uri),
+    history: await store.getRecentHistory(teamId, channelId, 10),
+    requestTimes: await store.getUserRequestTimes(teamId, channelId, 'U1', 0),
+    held: await store.getHeldRequests(teamId, channelId),
+    recentTrack: await store.getRecentTrack(teamId, channelId, TRACK.id),
+    djs: await store.getDjs(teamId, channelId)
+  };
+}
+
+for (const { name, create } of backends) {
+  describe(`${name} store`, () => {
+    test('unlinkChannelSpotify drops the Spotify link and keeps settings', async () => {
+      const store = await create();
+      await seedChannel(store, 'T1', 'C1');
+
+      const unlinked = await store.unlinkChannelSpotify('T1', 'C1');
+      const ch = await store.getChannel('T1', 'C1');
+      assert.deepStrictEqual(unlinked, ch);
+      assert.deepStrictEqual(ch, { slackChannelId: 'C1', settings: { quota: { perUser: 3 } } });
+
+      // DJs and history stay for a later /connect
+      assert.deepStrictEqual(await store.getDjs('T1', 'C1'), ['U5']);
+      assert.strictEqual((await store.getRecentHistory('T1', 'C1', 10)).length, 1);
+      assert.strictEqual(await store.unlinkChannelSpotify('T1', 'missing'), null);
+    });
+
+    test('deleteChannelSkipVotes returns and removes votes, voters and the vote index', async () => {
+      const store = await create();
+      await seedChannel(store, 'T1', 'C1');
+      await seedChannel(store, 'T1', 'C2');
+
+      const votes = await store.deleteChannelSkipVotes('T1', 'C1');
+      assert.deepStrictEqual(votes.map(vote => vote.id).sort(), skipIds('C1'));
+      assert.deepStrictEqual(Array.from(votes.find(vote => vote.id === skipIds('C1')[1]).thumbsUpUsers), ['U4']);
+
+      assert.deepStrictEqual(await store.getChannelSkipVoteIds('T1', 'C1'), []);
+      assert.strictEqual(await store.findSkipVoteByMessageTs('T1', 'C1', '1.1'), null);
+      assert.deepStrictEqual(await store.deleteChannelSkipVotes('T1', 'C1'), []);
+
+      // Voters are recorded again if a deleted vote comes back, starting from nobody
+      await store.setSkipVote('T1', 'C1', skipIds('C1')[0], { id: skipIds('C1')[0], messageTs: '1.1' });
+      const recreated = await store.getSkipVote('T1', 'C1', skipIds('C1')[0]);
+      assert.strictEqual(recreated.thumbsUpUsers.size + recreated.thumbsDownUsers.size, 0);
+
+      // Other channels keep their votes and voters
+      assert.deepStrictEqual((await store.getChannelSkipVoteIds('T1', 'C2')).sort(), skipIds('C2'));
+      const other = await store.getSkipVote('T1', 'C2', skipIds('C2')[0]);
+      assert.deepStrictEqual([Array.from(other.thumbsUpUsers), Array.from(other.thumbsDownUsers)], [['U2'], ['U3']]);
+    });
+
+    test('deleteTeamChannelData removes every channel record of the team', async () => {
+      const store = await create();
+      await seedChannel(store, 'T1', 'C1');
+      await seedChannel(store, 'T1', 'C2');
+      await seedChannel(store, 'T2', 'C3');
+      const otherTeam = await channelData(store, 'T2', 'C3');
+
+      const deletedKeys = await store.deleteTeamChannelData('T1');
+      assert.ok(deletedKeys > 0);
+
+      for (const channelId of ['C1', 'C2']) {
+        assert.deepStrictEqual(await channelData(store, 'T1', channelId), {
+          channel: null,
+          channelTeam: null,
+          voteIds: [],
+          vote: null,
+          voteByMessage: null,
+          requester: null,
+          history: [],
+          requestTimes: [],
+          held: [],
+          recentTrack: null,
+          djs: []
+        });
+      }
+      assert.deepStrictEqual(await store.getTeamChannelIds('T1'), []);
+
+      // The bot token is removed separately (deleteTeamToken), and other teams are untouched
+      assert.ok(await store.getTeamToken('T1'));
+      assert.deepStrictEqual(await channelData(store, 'T2', 'C3'), otherTeam);
+      assert.deepStrictEqual(await store.getTeamChannelIds('T2'), ['C3']);
+      assert.ok(await store.getTeamToken('T2'));
+    });
+
+    test('deleteTeamChannelData keeps a channel mapping that moved to another team', async () => {
+      const store = await create();
+      await seedChannel(store, 'T1', 'C1');
+      // A shared channel now served by T2
+      await store.setChannelTeam('C1', 'T2');
+
+      await store.deleteTeamChannelData('T1');
+      assert.strictEqual(await store.getChannelTeam('C1'), 'T2');
+    });
+
+    test('deleteTeamToken removes the team', async () => {
+      const store = await create();
+      await seedChannel(store, 'T1', 'C1');
+
+      await store.deleteTeamChannelData('T1');
+      await store.deleteTeamToken('T1');
+      assert.strictEqual(await store.getTeamToken('T1'), null);
+      assert.ok(!(await store.getTeamIds()).includes('T1'));
+    });
+  });
+}